@@ -1,88 +1,58 @@
-const ffmpeg = require('fluent-ffmpeg');
-const fetch = require('node-fetch');
-const fs = require('fs');
+const express = require('express');
+const cors = require('cors');
+const { badRequest } = require('../lib/errors');
+const { installConsoleLogger, requestContext } = require('../lib/logger');
+const { authenticate } = require('../lib/auth');
+const { STORAGE_BACKEND } = require('../lib/storage');
+const { prepareRender } = require('../lib/engine');
+const { renderOptions, acceptUploads, dispatchRender } = require('../lib/dispatch');
+
+// Vercel function for POST /api/sequence-videos. It runs the same engine as
+// the server's endpoint (lib/engine.js): same body, same validation, API key
+// limits and response. Differences are only what a serverless function can't
+// do:
+//
+//   - no async jobs or callbackUrl, since nothing runs once it has answered
+//   - the output comes back inline as base64 `videoData` unless delivery is
+//     "url" and STORAGE_BACKEND=s3 (local files would vanish with the instance)
+//   - Vercel caps request bodies at 4.5 MB, so large inputs come by URL
+
+// Log lines go out as JSON with the request id they belong to
+installConsoleLogger();
+
+const app = express();
+
+app.use(requestContext);
+app.use(cors());
+app.use(express.json({ limit: '5mb' }));
+app.use(authenticate);
+
+app.post('*', acceptUploads, async (req, res) => {
+  console.log('🎬 [SEQUENCE] Received video sequencing request (Vercel function)');
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
   try {
-    const { videoUrls } = req.body;
-    
-    if (!videoUrls || !Array.isArray(videoUrls)) {
-      return res.status(400).json({ error: 'videoUrls array is required' });
+    if (req.body.async === true || req.body.callbackUrl) {
+      throw badRequest('async and callbackUrl are not available on the Vercel function; the response carries the result');
     }
-    
-    // Limit to 3 videos for free tier
-    const limitedUrls = videoUrls.slice(0, 3);
-    
-    // Download videos to /tmp
-    const localFiles = [];
-    for (let i = 0; i < limitedUrls.length; i++) {
-      const videoUrl = limitedUrls[i].mp4_url || limitedUrls[i];
-      
-      const response = await fetch(videoUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to download video ${i + 1}`);
-      }
-      
-      const buffer = await response.buffer();
-      const filePath = `/tmp/video${i}.mp4`;
-      fs.writeFileSync(filePath, buffer);
-      localFiles.push(filePath);
+    if (req.body.delivery === 'url' && STORAGE_BACKEND !== 's3') {
+      throw badRequest('delivery "url" needs STORAGE_BACKEND=s3 on the Vercel function');
     }
-    
-    // Create concat file
-    const concatContent = localFiles.map(file => `file '${file}'`).join('\n');
-    const concatPath = '/tmp/concat.txt';
-    fs.writeFileSync(concatPath, concatContent);
-    
-    // Run FFmpeg concatenation
-    const outputPath = '/tmp/output.mp4';
-    
-    await new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(concatPath)
-        .inputOptions(['-f', 'concat', '-safe', '0'])
-        .outputOptions(['-c', 'copy'])
-        .output(outputPath)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
-    });
-    
-    // Read output and convert to base64
-    const outputBuffer = fs.readFileSync(outputPath);
-    const base64Video = outputBuffer.toString('base64');
-    
-    // Cleanup
-    localFiles.forEach(file => {
-      try { fs.unlinkSync(file); } catch (e) {}
-    });
-    try { fs.unlinkSync(concatPath); } catch (e) {}
-    try { fs.unlinkSync(outputPath); } catch (e) {}
-    
-    return res.json({
-      success: true,
-      message: `Successfully sequenced ${limitedUrls.length} videos`,
-      videoData: `data:video/mp4;base64,${base64Video}`,
-      size: outputBuffer.length
-    });
-    
+    req.body = { ...req.body, delivery: req.body.delivery || 'base64' };
+
+    await dispatchRender(req, res, await prepareRender('sequence', req.body, renderOptions(req)));
   } catch (error) {
-    console.error('Error:', error);
-    return res.status(500).json({ 
+    console.error('💥 [SEQUENCE] Error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      reason: error.reason,
+      details: error.details
     });
   }
-}
+});
+
+app.all('*', (req, res) => {
+  res.status(405).json({ success: false, error: 'Method not allowed' });
+});
+
+module.exports = app;
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// Log lines are plain text on stderr unless LOG_FORMAT says otherwise; stdout
+// carries the results
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+if (process.argv.includes('--quiet')) process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { installConsoleLogger } = require('../lib/logger');
+const { createWorkspace } = require('../lib/workspace');
+const { enqueueRender, queueStats } = require('../lib/queue');
+const { RENDER_TYPES, prepareRender, planRender } = require('../lib/engine');
+const { version } = require('../package.json');
+
+// video-sequencer: renders request bodies locally with the engine behind the
+// API (lib/engine.js), for batch runs without a server.
+//
+//   video-sequencer render <request.json>... [-o out.mp4] [--type <type>] [--quiet]
+//   video-sequencer plan <request.json>...
+//
+// A request file holds the body you would POST ('-' reads stdin). Its type is
+// --type, or guessed from the body: video_url → subtitles, videoUrls →
+// sequence, tracks → render (add-audio bodies need --type audio). Inputs may
+// be local files as well as URLs: a path (relative to the request file) or a
+// file:// URL goes in as an upload, like a multipart request's file parts, and
+// a local subtitles file is read in.
+//
+// Each output is written to -o (one request only) or next to its request file,
+// named after it, with SRT / VTT sidecars beside it. Renders wait in the same
+// render queue as on the server (RENDER_CONCURRENCY at a time). One JSON line
+// per request goes to stdout: the result summary, or the error.
+//
+// Exit codes: 0 all done, 1 some failed, 2 usage, 130 interrupted.
+
+const USAGE = `video-sequencer ${version}
+
+Usage:
+  video-sequencer render <request.json>... [-o <output>] [--type ${Object.keys(RENDER_TYPES).join('|')}] [--quiet]
+  video-sequencer plan <request.json>...`;
+
+const URL_SCHEME = /^[a-z][\w+.-]*:/i;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command, files: [], output: null, type: null };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '-o' || arg === '--output') args.output = rest[++i];
+    else if (arg === '--type') args.type = rest[++i];
+    else if (arg === '--quiet') continue;
+    else if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option ${arg}`);
+    else args.files.push(arg);
+  }
+
+  if (!['render', 'plan'].includes(command)) throw new Error(command ? `Unknown command "${command}"` : 'No command given');
+  if (args.files.length === 0) throw new Error('No request file given');
+  if (args.output === undefined || args.type === undefined) throw new Error('-o and --type need a value');
+  if (args.output && args.files.length > 1) throw new Error('-o needs exactly one request file');
+  if (args.type && !RENDER_TYPES[args.type]) throw new Error(`--type must be one of: ${Object.keys(RENDER_TYPES).join(', ')}`);
+  return args;
+}
+
+function readRequest(file) {
+  const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error(`${file} must hold a JSON object (a request body)`);
+  }
+  return { body, baseDir: file === '-' ? process.cwd() : path.dirname(path.resolve(file)) };
+}
+
+function inferType(body) {
+  if (body.video_url) return 'subtitles';
+  if (body.videoUrls) return 'sequence';
+  return 'render';
+}
+
+// A local path or file:// URL → its absolute path; null for anything the
+// engine fetches itself (http(s), data:, upload:, job:)
+function localPath(value, baseDir) {
+  if (typeof value !== 'string' || !value) return null;
+  if (value.startsWith('file://')) return fileURLToPath(value);
+  if (URL_SCHEME.test(value)) return null;
+  return path.resolve(baseDir, value);
+}
+
+// Swaps the local files a body refers to for upload:<name> references and
+// returns the uploads, in the shape lib/uploads.js gives a multipart request
+function attachLocalFiles(body, baseDir) {
+  const uploads = {};
+
+  const upload = (value) => {
+    const filePath = localPath(value, baseDir);
+    if (!filePath) return value;
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`Input file not found: ${value}`);
+    }
+    const field = `file${Object.keys(uploads).length}`;
+    uploads[field] = { field, filename: path.basename(filePath), path: filePath, bytes: fs.statSync(filePath).size };
+    return `upload:${field}`;
+  };
+
+  // Subtitle files are read in: the engine parses subtitles text itself
+  const subtitles = (value) => {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value.url : value;
+    if (typeof source !== 'string' || source.includes('\n')) return value;
+    const filePath = localPath(source.trim(), baseDir);
+    if (!filePath || !fs.existsSync(filePath)) return value;
+    const content = fs.readFileSync(filePath, 'utf8');
+    return typeof value === 'string' ? content : { ...value, url: undefined, content };
+  };
+
+  if (Array.isArray(body.videoUrls)) {
+    body.videoUrls = body.videoUrls.map(video =>
+      (video && typeof video === 'object' ? { ...video, mp4_url: upload(video.mp4_url) } : upload(video)));
+  }
+  if (body.video_url) body.video_url = upload(body.video_url);
+  if (body.subtitles) body.subtitles = subtitles(body.subtitles);
+  if (Array.isArray(body.tracks)) {
+    body.tracks.forEach((track) => {
+      if (!track || typeof track !== 'object') return;
+      if (track.subtitles) track.subtitles = subtitles(track.subtitles);
+      if (!Array.isArray(track.keyframes)) return;
+      track.keyframes.forEach((keyframe) => {
+        if (keyframe && keyframe.url) keyframe.url = upload(keyframe.url);
+      });
+    });
+  }
+
+  return uploads;
+}
+
+// Where a request's output goes: -o, or next to the request file
+function outputTarget(file, output, renderedPath) {
+  if (output) return path.resolve(output);
+  const base = file === '-' ? path.resolve('output') : path.resolve(file).replace(/\.json$/i, '');
+  return base + path.extname(renderedPath);
+}
+
+// Copies the output (a file, or an HLS directory) and its sidecars out of the
+// workspace; returns where they went
+function writeOutputs(rendered, target) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.cpSync(rendered.outputPath, target, { recursive: true });
+
+  const written = {};
+  const base = target.slice(0, target.length - path.extname(target).length);
+  Object.entries(rendered.sidecars || {}).forEach(([name, sidecar]) => {
+    written[name] = base + sidecar.extension;
+    fs.copyFileSync(sidecar.path, written[name]);
+  });
+  return { outputFile: target, sidecarFiles: Object.keys(written).length > 0 ? written : undefined };
+}
+
+const print = result => process.stdout.write(`${JSON.stringify(result)}\n`);
+
+async function renderRequest(file, args, workspaces) {
+  const startTime = Date.now();
+  const { body, baseDir } = readRequest(file);
+  const type = args.type || inferType(body);
+  const uploads = attachLocalFiles(body, baseDir);
+  const prepared = await prepareRender(type, body, { uploads });
+
+  const workspace = createWorkspace('cli');
+  workspaces.add(workspace);
+  try {
+    const ticket = enqueueRender(() => prepared.run(() => {}, workspace, null), { label: `${type} ${file}` });
+    const rendered = await ticket.promise;
+    const written = writeOutputs(rendered, outputTarget(file, args.output, rendered.outputPath));
+    console.log(`💾 [${prepared.tag}] Wrote ${written.outputFile}`);
+
+    const { message, ...details } = rendered.result;
+    return { success: true, request: file, message, ...details, ...written, processingTimeMs: Date.now() - startTime };
+  } finally {
+    workspace.remove();
+    workspaces.delete(workspace);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  installConsoleLogger({ stderr: true });
+
+  // Ctrl-C: nothing is left behind in the workspace root
+  const workspaces = new Set();
+  process.on('SIGINT', () => {
+    console.log(`🛑 [CLI] Interrupted - removing ${workspaces.size} workspaces`);
+    workspaces.forEach(workspace => workspace.remove());
+    process.exit(130);
+  });
+
+  const run = args.command === 'plan'
+    ? async (file) => ({ success: true, request: file, ...await planRender(readRequest(file).body, { queue: queueStats() }) })
+    : file => renderRequest(file, args, workspaces);
+
+  const results = await Promise.all(args.files.map(file => run(file)
+    .catch((error) => {
+      console.error(`💥 [CLI] ${file}:`, error.message);
+      return { success: false, request: file, error: error.message, reason: error.reason, details: error.details };
+    })
+    .then((result) => {
+      print(result);
+      return result;
+    })));
+  process.exitCode = results.every(result => result.success) ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,214 @@
+const { badRequest } = require('./errors');
+const { describeInput } = require('./ingest');
+
+// Timeline audio: every keyframe of every `audio` track becomes a clip placed
+// at its `timestamp`, with per-clip volume, fades and loop-to-fill. Clips on
+// voiceover tracks duck everything else (music tracks and the original clip
+// audio) through a sidechain compressor.
+//
+//   { type: 'audio', role: 'music' | 'voiceover', keyframes: [
+//     { url, timestamp, duration?, sourceStart?, volume?, fadeIn?, fadeOut?, loop? }
+//   ] }
+
+const ROLES = {
+  music: 'music',
+  background: 'music',
+  sfx: 'music',
+  voiceover: 'voice',
+  voice: 'voice',
+  narration: 'voice',
+  dialogue: 'voice'
+};
+
+const DEFAULT_DUCKING = {
+  threshold: 0.03, // sidechain level (linear) that triggers ducking
+  ratio: 8,
+  attack: 20, // ms
+  release: 400 // ms
+};
+
+const SAMPLE_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+
+function optionalNumber(value, field) {
+  if (value === undefined || value === null) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw badRequest(`${field} must be a non-negative number`);
+  }
+  return number;
+}
+
+// Linear multiplier (1 = unchanged) or a gain string such as "-6dB"
+function parseVolume(value, field) {
+  if (value === undefined || value === null) return '1';
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?dB$/i.test(value.trim())) {
+    return value.trim().replace(/db$/i, 'dB');
+  }
+  const number = optionalNumber(value, field);
+  if (number > 10) {
+    throw badRequest(`${field} must be at most 10 (or a gain such as "-6dB")`);
+  }
+  return String(number);
+}
+
+function collectAudioClips(tracks = []) {
+  const clips = [];
+
+  tracks.forEach((track, trackIndex) => {
+    if (!track || track.type !== 'audio' || !Array.isArray(track.keyframes)) return;
+
+    const roleName = String(track.role || 'music').toLowerCase();
+    const role = ROLES[roleName];
+    if (!role) {
+      throw badRequest(`tracks[${trackIndex}].role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+
+    track.keyframes.forEach((keyframe, keyframeIndex) => {
+      const field = `tracks[${trackIndex}].keyframes[${keyframeIndex}]`;
+      if (!keyframe || !keyframe.url) {
+        throw badRequest(`${field}.url is required`);
+      }
+
+      clips.push({
+        url: keyframe.url,
+        role,
+        trackIndex,
+        keyframeIndex,
+        timestamp: optionalNumber(keyframe.timestamp, `${field}.timestamp`) || 0,
+        duration: optionalNumber(keyframe.duration, `${field}.duration`),
+        sourceStart: optionalNumber(keyframe.sourceStart, `${field}.sourceStart`) || 0,
+        volume: parseVolume(keyframe.volume, `${field}.volume`),
+        fadeIn: optionalNumber(keyframe.fadeIn, `${field}.fadeIn`) || 0,
+        fadeOut: optionalNumber(keyframe.fadeOut, `${field}.fadeOut`) || 0,
+        loop: keyframe.loop === true
+      });
+    });
+  });
+
+  return clips;
+}
+
+// `ducking` may be false to disable it, or override DEFAULT_DUCKING fields
+function resolveDucking(ducking) {
+  if (ducking === false) return null;
+  const options = ducking && typeof ducking === 'object' ? ducking : {};
+  const resolved = { ...DEFAULT_DUCKING };
+  Object.keys(DEFAULT_DUCKING).forEach(key => {
+    if (options[key] !== undefined) resolved[key] = optionalNumber(options[key], `ducking.${key}`);
+  });
+  if (resolved.ratio < 1 || resolved.ratio > 20) {
+    throw badRequest('ducking.ratio must be between 1 and 20');
+  }
+  if (resolved.threshold <= 0 || resolved.threshold > 1) {
+    throw badRequest('ducking.threshold must be between 0 and 1');
+  }
+  return resolved;
+}
+
+// Request-level mix settings: keepOriginalAudio, originalVolume, ducking
+function resolveMixOptions(body, { keepOriginalAudio = false } = {}) {
+  return {
+    keepOriginalAudio: body.keepOriginalAudio !== undefined ? body.keepOriginalAudio === true : keepOriginalAudio,
+    originalVolume: parseVolume(body.originalVolume, 'originalVolume'),
+    ducking: resolveDucking(body.ducking)
+  };
+}
+
+// How long a clip plays on the timeline: its own duration if given, never
+// past the end of the render, and (unless looped) never past its source.
+function clipLength(clip, sourceDuration, renderDuration) {
+  const available = renderDuration - clip.timestamp;
+  const limits = [available];
+  if (clip.duration !== undefined) limits.push(clip.duration);
+  if (!clip.loop && sourceDuration) limits.push(sourceDuration - clip.sourceStart);
+  return Math.max(Math.min(...limits), 0);
+}
+
+function mixLabels(labels, output) {
+  if (labels.length === 1) return `[${labels[0]}]anull[${output}]`;
+  return `${labels.map(label => `[${label}]`).join('')}amix=inputs=${labels.length}:duration=longest:dropout_transition=0:normalize=0[${output}]`;
+}
+
+// Builds the -filter_complex graph for a render whose clip inputs start at
+// ffmpeg input index `firstInput` (one input per clip, in order).
+//   original: ffmpeg stream specifier of the audio to keep (e.g. '0:a:0') or null
+//   sourceDurations: probed length of each clip's file, in clip order
+// Returns { filter, output, clips } where `clips` reports each placed clip.
+function buildAudioMix({ clips, sourceDurations, firstInput, original, originalVolume = '1', duration, ducking }) {
+  const filters = [];
+  const groups = { voice: [], music: [] };
+  const placed = [];
+
+  clips.forEach((clip, i) => {
+    const length = clipLength(clip, sourceDurations[i], duration);
+    if (length <= 0) {
+      placed.push({ url: describeInput(clip.url), included: false, reason: 'starts after the end of the render or has no audio left after trimming' });
+      return;
+    }
+
+    const label = `clip${i}`;
+    const delay = Math.round(clip.timestamp * 1000);
+    const chain = [
+      `atrim=start=${clip.sourceStart}:duration=${length}`,
+      'asetpts=PTS-STARTPTS',
+      SAMPLE_FORMAT,
+      `volume=${clip.volume}`
+    ];
+    if (clip.fadeIn > 0) chain.push(`afade=t=in:st=0:d=${Math.min(clip.fadeIn, length)}`);
+    if (clip.fadeOut > 0) {
+      const fadeOut = Math.min(clip.fadeOut, length);
+      chain.push(`afade=t=out:st=${(length - fadeOut).toFixed(3)}:d=${fadeOut}`);
+    }
+    if (delay > 0) chain.push(`adelay=${delay}|${delay}`);
+
+    filters.push(`[${firstInput + i}:a]${chain.join(',')}[${label}]`);
+    groups[clip.role].push(label);
+    placed.push({ url: describeInput(clip.url), role: clip.role, included: true, timestamp: clip.timestamp, duration: length, loop: clip.loop });
+  });
+
+  const bed = [...groups.music];
+  if (original) {
+    filters.push(`[${original}]${SAMPLE_FORMAT},volume=${originalVolume}[original]`);
+    bed.push('original');
+  }
+
+  const mixed = [];
+  let ducked = false;
+
+  if (groups.voice.length > 0) {
+    filters.push(mixLabels(groups.voice, 'voice'));
+  }
+  if (bed.length > 0) {
+    filters.push(mixLabels(bed, 'bed'));
+  }
+
+  if (ducking && groups.voice.length > 0 && bed.length > 0) {
+    // The sidechain key is padded so the compressor never runs out of input
+    // before the bed does
+    filters.push('[voice]asplit=2[voicemix][voicekeyraw]');
+    filters.push(`[voicekeyraw]apad=whole_dur=${duration}[voicekey]`);
+    filters.push(`[bed][voicekey]sidechaincompress=threshold=${ducking.threshold}:ratio=${ducking.ratio}:attack=${ducking.attack}:release=${ducking.release}[ducked]`);
+    mixed.push('ducked', 'voicemix');
+    ducked = true;
+  } else {
+    if (bed.length > 0) mixed.push('bed');
+    if (groups.voice.length > 0) mixed.push('voice');
+  }
+
+  if (mixed.length === 0) {
+    return { filter: null, output: null, clips: placed, ducked };
+  }
+
+  // Pad with silence so the soundtrack always spans the whole render
+  filters.push(mixLabels(mixed, 'mixed'));
+  filters.push(`[mixed]apad=whole_dur=${duration}[mix]`);
+
+  return { filter: filters.join(';'), output: 'mix', clips: placed, ducked };
+}
+
+module.exports = {
+  collectAudioClips,
+  resolveDucking,
+  resolveMixOptions,
+  buildAudioMix
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { httpError } = require('./errors');
+
+// API keys for /api/*. Keys come from API_KEYS_FILE (JSON) or API_KEYS
+// (comma-separated `name:key` or bare keys); with neither set the API stays
+// open, as before. Requests carry the key as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`.
+//
+//   { "defaults": { "requestsPerMinute": 60 },
+//     "keys": [{ "name": "acme", "key": "...", "concurrentRenders": 4 }] }
+//
+// Every key has its own limits (falling back to "defaults", then
+// DEFAULT_LIMITS): requests per minute (sliding window) and concurrent renders
+// answer 429 with Retry-After; clips per timeline and output duration answer
+// 403, since retrying won't help. Usage is counted per key in memory.
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: 60,
+  concurrentRenders: 2,
+  maxClips: 100,
+  maxOutputDuration: 600 // seconds
+};
+
+const WINDOW_MS = 60 * 1000;
+// A render slot frees up when a render finishes; there is no better estimate
+const CONCURRENCY_RETRY_AFTER_SECONDS = 10;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function positiveLimit(value, field, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`API key "${name}": ${field} must be a positive number`);
+  }
+  return number;
+}
+
+function resolveLimits(spec, defaults, name) {
+  const limits = {};
+  Object.keys(DEFAULT_LIMITS).forEach(field => {
+    const value = spec[field] !== undefined ? spec[field] : defaults[field];
+    limits[field] = positiveLimit(value, field, name);
+  });
+  return limits;
+}
+
+function readKeyConfig() {
+  if (process.env.API_KEYS_FILE) {
+    const config = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    return Array.isArray(config) ? { keys: config } : config;
+  }
+  if (process.env.API_KEYS) {
+    return {
+      keys: process.env.API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, i) => {
+        const separator = entry.indexOf(':');
+        return separator === -1
+          ? { name: `key-${i + 1}`, key: entry }
+          : { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+      })
+    };
+  }
+  return { keys: [] };
+}
+
+// Keys are looked up by their SHA-256, so the lookup doesn't leak how much of
+// a guessed key matched
+function loadApiKeys() {
+  const config = readKeyConfig();
+  const defaults = { ...DEFAULT_LIMITS, ...(config.defaults || {}) };
+  const keys = new Map();
+
+  (config.keys || []).forEach((spec, i) => {
+    const name = spec.name || `key-${i + 1}`;
+    if (typeof spec.key !== 'string' || spec.key.length < 16) {
+      throw new Error(`API key "${name}" must be a string of at least 16 characters`);
+    }
+    keys.set(hashKey(spec.key), {
+      name,
+      limits: resolveLimits(spec, defaults, name),
+      requestTimes: [],
+      activeRenders: 0,
+      usage: {
+        requests: 0,
+        rateLimited: 0,
+        rendersStarted: 0,
+        rendersCompleted: 0,
+        rendersFailed: 0,
+        processingMs: 0,
+        outputBytes: 0,
+        lastRequestAt: null
+      }
+    });
+  });
+
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+const AUTH_ENABLED = apiKeys.size > 0;
+
+function presentedKey(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  return bearer ? bearer[1].trim() : req.get('x-api-key') || null;
+}
+
+function rateLimited(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: message,
+    retryAfter: retryAfterSeconds
+  });
+}
+
+// Middleware for /api/*: resolves `req.apiKey` and enforces the request rate
+function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.apiKey = null;
+    req.renderLimits = null;
+    return next();
+  }
+
+  const key = presentedKey(req);
+  const apiKey = key ? apiKeys.get(hashKey(key)) : null;
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer realm="video-sequencer"');
+    return res.status(401).json({
+      success: false,
+      error: key ? 'Invalid API key' : 'API key required (Authorization: Bearer <key> or X-API-Key)'
+    });
+  }
+
+  const now = Date.now();
+  const { requestsPerMinute } = apiKey.limits;
+  apiKey.requestTimes = apiKey.requestTimes.filter(time => time > now - WINDOW_MS);
+  apiKey.usage.lastRequestAt = new Date(now).toISOString();
+
+  res.set('X-RateLimit-Limit', String(requestsPerMinute));
+  if (apiKey.requestTimes.length >= requestsPerMinute) {
+    apiKey.usage.rateLimited++;
+    res.set('X-RateLimit-Remaining', '0');
+    const retryAfter = Math.max(1, Math.ceil((apiKey.requestTimes[0] + WINDOW_MS - now) / 1000));
+    console.log(`🚦 [AUTH] Rate limit hit for key "${apiKey.name}" (${requestsPerMinute}/min)`);
+    return rateLimited(res, retryAfter, `Rate limit of ${requestsPerMinute} requests per minute exceeded`);
+  }
+
+  apiKey.requestTimes.push(now);
+  apiKey.usage.requests++;
+  res.set('X-RateLimit-Remaining', String(requestsPerMinute - apiKey.requestTimes.length));
+  req.apiKey = apiKey;
+  req.renderLimits = apiKey.limits;
+  next();
+}
+
+// `limits` is the caller's `req.renderLimits` (null when auth is off). The
+// endpoints check the planned timeline before downloading anything; the
+// pipeline checks again once real durations are known.
+function checkRenderLimits(limits, { clips = 0, duration = null }) {
+  if (!limits) return;
+  const { maxClips, maxOutputDuration } = limits;
+  if (clips > maxClips) {
+    throw httpError(403, `Timeline has ${clips} clips; this API key allows at most ${maxClips}`);
+  }
+  if (duration !== null && duration > maxOutputDuration) {
+    throw httpError(403, `Output would be ${duration.toFixed(2)}s long; this API key allows at most ${maxOutputDuration}s`);
+  }
+}
+
+// Takes one of the key's render slots. Returns `release(outcome)`, to be
+// called once when the render ends, or null (after answering 429) when every
+// slot is busy.
+function acquireRenderSlot(req, res) {
+  const { apiKey } = req;
+  if (!apiKey) return () => {};
+
+  if (apiKey.activeRenders >= apiKey.limits.concurrentRenders) {
+    apiKey.usage.rateLimited++;
+    console.log(`🚦 [AUTH] Key "${apiKey.name}" already has ${apiKey.activeRenders} renders running`);
+    rateLimited(res, CONCURRENCY_RETRY_AFTER_SECONDS, `This API key allows ${apiKey.limits.concurrentRenders} concurrent renders`);
+    return null;
+  }
+
+  apiKey.activeRenders++;
+  apiKey.usage.rendersStarted++;
+  const startTime = Date.now();
+  let released = false;
+
+  return ({ success, outputBytes = 0 }) => {
+    if (released) return;
+    released = true;
+    apiKey.activeRenders--;
+    apiKey.usage[success ? 'rendersCompleted' : 'rendersFailed']++;
+    apiKey.usage.processingMs += Date.now() - startTime;
+    apiKey.usage.outputBytes += outputBytes;
+  };
+}
+
+function describeApiKey(apiKey) {
+  return {
+    name: apiKey.name,
+    limits: apiKey.limits,
+    activeRenders: apiKey.activeRenders,
+    requestsLastMinute: apiKey.requestTimes.filter(time => time > Date.now() - WINDOW_MS).length,
+    usage: apiKey.usage
+  };
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  authenticate,
+  checkRenderLimits,
+  acquireRenderSlot,
+  describeApiKey
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// On-disk cache of normalized timeline segments, so a stock clip used by many
+// renders (or a timeline re-rendered after one edit) is only encoded once per
+// output profile.
+//
+// Entries are content addressed: the key is a hash of what identifies the
+// source (URL + ETag/Last-Modified when the server sends one, otherwise the
+// SHA-256 of the downloaded bytes) and of everything that shapes the encode
+// (trim range, timeline length, still/Ken Burns settings, filters and encoder
+// options). Changing any of them gives a new key, so entries never go stale;
+// they are only evicted, least recently used first, once the cache outgrows
+// SEGMENT_CACHE_MAX_BYTES (0 turns the cache off).
+//
+// Each entry is `<key>.mp4` plus `<key>.json` with what the pipeline learned
+// about the source (duration, audio). Renders get a hard link (or a copy on
+// another filesystem) in their workspace, so evicting an entry never pulls a
+// file from under a running render.
+
+const CACHE_DIR = process.env.SEGMENT_CACHE_DIR || path.join(os.tmpdir(), 'video-sequencer-cache');
+const CACHE_MAX_BYTES = process.env.SEGMENT_CACHE_MAX_BYTES !== undefined
+  ? parseInt(process.env.SEGMENT_CACHE_MAX_BYTES, 10) || 0
+  : 2 * 1024 * 1024 * 1024; // 2GB
+const CACHE_ENABLED = CACHE_MAX_BYTES > 0;
+
+// Bump when the segment encode changes in a way the key doesn't capture
+const CACHE_VERSION = 1;
+
+// key → { size, usedAt }
+const entries = new Map();
+const counters = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+let totalBytes = 0;
+
+const entryPath = key => path.join(CACHE_DIR, `${key}.mp4`);
+const metaPath = key => path.join(CACHE_DIR, `${key}.json`);
+
+// Picks up what earlier runs left behind, oldest use first
+function loadIndex() {
+  if (!CACHE_ENABLED) return;
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+  fs.readdirSync(CACHE_DIR).forEach(name => {
+    const filePath = path.join(CACHE_DIR, name);
+    // Half-written entries of a crashed process
+    if (name.endsWith('.tmp')) {
+      try { fs.unlinkSync(filePath); } catch (e) {}
+      return;
+    }
+    if (!name.endsWith('.mp4')) return;
+    const key = name.slice(0, -4);
+    try {
+      const stat = fs.statSync(filePath);
+      fs.accessSync(metaPath(key));
+      entries.set(key, { size: stat.size, usedAt: stat.mtimeMs });
+      totalBytes += stat.size;
+    } catch (e) {
+      try { fs.unlinkSync(filePath); } catch (err) {}
+    }
+  });
+
+  const sorted = [...entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+  entries.clear();
+  sorted.forEach(([key, entry]) => entries.set(key, entry));
+  evict();
+}
+
+function segmentKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify({ version: CACHE_VERSION, ...parts })).digest('hex');
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Hard link, falling back to a copy across filesystems
+function linkOrCopy(from, to) {
+  try {
+    fs.linkSync(from, to);
+  } catch (e) {
+    fs.copyFileSync(from, to);
+  }
+}
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  totalBytes -= entry.size;
+  try { fs.unlinkSync(entryPath(key)); } catch (e) {}
+  try { fs.unlinkSync(metaPath(key)); } catch (e) {}
+}
+
+function evict() {
+  // Map order is least recently used first
+  for (const key of entries.keys()) {
+    if (totalBytes <= CACHE_MAX_BYTES) break;
+    removeEntry(key);
+    counters.evictions++;
+  }
+}
+
+// Puts the cached segment for `key` at `destPath` and returns its metadata,
+// or null on a miss
+function fetchSegment(key, destPath) {
+  if (!CACHE_ENABLED || !entries.has(key)) {
+    if (CACHE_ENABLED) counters.misses++;
+    return null;
+  }
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath(key), 'utf8'));
+    linkOrCopy(entryPath(key), destPath);
+    const entry = entries.get(key);
+    entries.delete(key);
+    entries.set(key, { ...entry, usedAt: Date.now() });
+    const now = new Date();
+    try { fs.utimesSync(entryPath(key), now, now); } catch (e) {}
+    counters.hits++;
+    return meta;
+  } catch (e) {
+    // Removed behind our back (another instance sharing the directory)
+    removeEntry(key);
+    counters.misses++;
+    return null;
+  }
+}
+
+// Adds a freshly encoded segment. Written under a temporary name and renamed,
+// so concurrent renders of the same segment never see a partial file.
+function storeSegment(key, filePath, meta) {
+  if (!CACHE_ENABLED || entries.has(key)) return;
+
+  const tmpPath = `${entryPath(key)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(metaPath(key), JSON.stringify(meta));
+    linkOrCopy(filePath, tmpPath);
+    fs.renameSync(tmpPath, entryPath(key));
+  } catch (error) {
+    try { fs.unlinkSync(tmpPath); } catch (e) {}
+    console.error('⚠️ [CACHE] Could not store segment:', error.message);
+    return;
+  }
+
+  const size = fs.statSync(entryPath(key)).size;
+  entries.set(key, { size, usedAt: Date.now() });
+  totalBytes += size;
+  counters.stores++;
+  evict();
+}
+
+function cacheStats() {
+  return {
+    enabled: CACHE_ENABLED,
+    entries: entries.size,
+    bytes: totalBytes,
+    maxBytes: CACHE_MAX_BYTES,
+    ...counters
+  };
+}
+
+loadIndex();
+
+module.exports = {
+  CACHE_DIR,
+  CACHE_ENABLED,
+  segmentKey,
+  hashFile,
+  fetchSegment,
+  storeSegment,
+  cacheStats
+};
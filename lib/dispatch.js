@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError, badRequest } = require('./errors');
+const { DOWNLOAD_LIMITS } = require('./ingest');
+const { createWorkspace } = require('./workspace');
+const { parseMultipart } = require('./uploads');
+const { resolvePriority, admitRender, enqueueRender } = require('./queue');
+const { acquireRenderSlot } = require('./auth');
+const { resolveCallback, attachWebhook, deliverJobWebhook } = require('./webhooks');
+const { INLINE_MAX_BYTES, resolveDelivery, storeFile } = require('./storage');
+const { createJob, runJob, failJob } = require('./jobs');
+const { withLogContext } = require('./logger');
+const { trackRender } = require('./metrics');
+
+// The HTTP side of a render, shared by the Express server and the Vercel
+// function: multipart uploads, the render queue, API key slots, async jobs and
+// delivering the output. What gets rendered comes from lib/engine.js.
+
+// The API key name a request acts as: jobs it starts belong to it
+const requester = req => (req.apiKey ? req.apiKey.name : null);
+
+// Render endpoints also take multipart/form-data: the JSON body in a `payload`
+// field plus file parts referenced as `upload:<name>`. Files land in the
+// workspace the render then adopts (dispatchRender); if the request fails
+// before that, the workspace goes when the response closes.
+async function acceptUploads(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  const workspace = createWorkspace('upload');
+  req.workspace = workspace;
+  res.on('close', () => {
+    if (!req.workspaceClaimed) workspace.remove();
+  });
+
+  try {
+    const { body, uploads } = await parseMultipart(req, workspace, { maxBytes: DOWNLOAD_LIMITS.maxBytes });
+    req.body = body;
+    req.uploads = uploads;
+    console.log(`📤 [UPLOAD] Received ${Object.keys(uploads).length} files`);
+    next();
+  } catch (error) {
+    console.error('💥 [UPLOAD] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// What lib/engine.js needs to know about the request a render comes from
+const renderOptions = req => ({ uploads: req.uploads, owner: requester(req), limits: req.renderLimits });
+
+// Response field of a base64-delivered output
+function inlineField(contentType) {
+  if (contentType.startsWith('video/')) return 'videoData';
+  if (contentType.startsWith('audio/')) return 'audioData';
+  if (contentType.startsWith('image/')) return 'imageData';
+  return 'fileData';
+}
+
+// Every render endpoint goes through here. By default the pipeline runs while
+// the request waits; the finished MP4 goes to storage (lib/storage.js) and the
+// response carries its `url`, or the file inline as base64 `videoData` with
+// `delivery: 'base64'`. Outputs that aren't MP4 carry their `contentType` in
+// the result and keep their file extension (images come back as `imageData`,
+// audio as `audioData`); an HLS package is stored as a directory and can't be
+// inlined. `sidecars` a run returns next to the output (SRT / WebVTT of a
+// transcription) are stored or inlined the same way, under `sidecars`.
+// With `async: true` in the body the pipeline runs as a background job and the
+// client polls /api/jobs/:id, then downloads /api/jobs/:id/result. A
+// `callbackUrl` also makes it a job, and the result is POSTed there when done.
+// `run(onProgress, workspace)` writes only inside its workspace, which is
+// removed once the response is sent (or, for jobs, when the job expires). A
+// multipart request's upload workspace is reused, so its files live as long.
+// Every render holds one of the API key's render slots until it finishes, and
+// waits in the render queue (lib/queue.js, `priority` in the body) for a
+// worker. Its outcome, run time and failing stage go to the metrics; a job's
+// log lines carry its jobId.
+async function dispatchRender(req, res, { type, tag, run, format = null }) {
+  const startTime = Date.now();
+  const callback = resolveCallback(req.body);
+  const delivery = resolveDelivery(req.body);
+  if (delivery === 'base64' && format && format.directory) {
+    throw badRequest('delivery "base64" is not available for output.format "hls" with package "files"; use delivery: "url" or hls.package: "tar"');
+  }
+  const priority = resolvePriority(req.body);
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const limits = req.renderLimits;
+
+  if (!admitRender(res)) return;
+  const release = acquireRenderSlot(req, res);
+  if (!release) return;
+
+  const workspace = req.workspace || createWorkspace(type);
+  req.workspaceClaimed = true;
+  const render = trackRender(type);
+
+  // Moves the output (and its sidecars) into storage and adds their locations
+  // to the result
+  const store = async ({ outputPath, result, sidecars = {} }) => {
+    const file = await storeFile(outputPath, {
+      baseUrl,
+      extension: path.extname(outputPath),
+      contentType: result.contentType || 'video/mp4',
+      entry: result.entry
+    });
+    console.log(`💾 [${tag}] Stored output (${file.storage}): ${file.key}`);
+
+    const stored = {};
+    for (const [name, sidecar] of Object.entries(sidecars)) {
+      const location = await storeFile(sidecar.path, { baseUrl, extension: sidecar.extension, contentType: sidecar.contentType });
+      stored[name] = { url: location.url, key: location.key, contentType: sidecar.contentType, expiresAt: location.expiresAt };
+    }
+
+    return {
+      outputPath: file.path,
+      result: {
+        ...result,
+        url: file.url,
+        key: file.key,
+        storage: file.storage,
+        expiresAt: file.expiresAt,
+        sidecars: Object.keys(stored).length > 0 ? stored : undefined
+      }
+    };
+  };
+
+  if (req.body.async === true || callback) {
+    const job = createJob(type, workspace, requester(req));
+    if (callback) attachWebhook(job, callback);
+    withLogContext({ jobId: job.id }, () => {
+      job.ticket = enqueueRender(
+        () => runJob(job, onProgress => run(render.progress(onProgress), workspace, limits).then((rendered) => {
+          render.stage('storing');
+          return store(rendered);
+        })),
+        { priority, label: `${type} job ${job.id}` }
+      );
+      // runJob records its own failures; a rejection here is a cancel while queued
+      job.ticket.promise.catch(error => failJob(job, error)).then(() => {
+        const outputBytes = job.result ? job.result.size : 0;
+        render.finish(job.ticket.interrupted ? 'interrupted' : job.status, { outputBytes });
+        release({ success: job.status === 'completed', outputBytes });
+        if (callback) return deliverJobWebhook(job, callback, { baseUrl });
+      }).catch((error) => {
+        // Nobody awaits this chain: an error here must not become an unhandled rejection
+        console.error(`💥 [${tag}] Finishing job ${job.id} failed:`, error);
+      });
+      console.log(`🧾 [${tag}] Queued async job ${job.id}${callback ? ` (callback: ${callback.url})` : ''}`);
+    });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      resultUrl: `/api/jobs/${job.id}/result`,
+      webhooksUrl: callback ? `/api/jobs/${job.id}/webhooks` : undefined
+    });
+  }
+
+  const ticket = enqueueRender(() => run(render.progress(() => {}), workspace, limits), { priority, label: `${type} request` });
+
+  // A client that hangs up doesn't leave work or files behind: the render is
+  // cancelled (or leaves the queue) and the workspace goes at once
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      ticket.cancel();
+      workspace.remove();
+    }
+  });
+
+  let outcome = { success: false };
+  try {
+    const rendered = await ticket.promise;
+    render.stage('delivering');
+    let { result } = rendered;
+    const inline = {};
+
+    if (delivery === 'base64') {
+      const size = fs.statSync(rendered.outputPath).size;
+      if (size > INLINE_MAX_BYTES) {
+        throw httpError(413, `Output is ${(size / 1024 / 1024).toFixed(2)} MB, over the ${(INLINE_MAX_BYTES / 1024 / 1024).toFixed(0)} MB limit for base64 delivery; use delivery: "url"`);
+      }
+      const contentType = result.contentType || 'video/mp4';
+      inline[inlineField(contentType)] =
+        `data:${contentType};base64,${fs.readFileSync(rendered.outputPath).toString('base64')}`;
+      const sidecars = Object.entries(rendered.sidecars || {});
+      if (sidecars.length > 0) {
+        inline.sidecars = {};
+        sidecars.forEach(([name, sidecar]) => {
+          inline.sidecars[name] = {
+            contentType: sidecar.contentType,
+            data: `data:${sidecar.contentType};base64,${fs.readFileSync(sidecar.path).toString('base64')}`
+          };
+        });
+      }
+    } else {
+      ({ result } = await store(rendered));
+    }
+
+    const { message, ...details } = result;
+    res.json({
+      success: true,
+      message,
+      ...inline,
+      ...details,
+      processingTimeMs: Date.now() - startTime
+    });
+    outcome = { success: true, outputBytes: result.size };
+  } finally {
+    render.finish(outcome.success ? 'completed' : ticket.interrupted ? 'interrupted' : ticket.cancelled ? 'cancelled' : 'failed', outcome);
+    release(outcome);
+    workspace.remove();
+  }
+}
+
+module.exports = {
+  requester,
+  renderOptions,
+  acceptUploads,
+  dispatchRender
+};
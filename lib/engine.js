@@ -0,0 +1,349 @@
+const { badRequest } = require('./errors');
+const { buildTimeline, timelineDuration } = require('./timeline');
+const { collectAudioClips, resolveMixOptions } = require('./audio');
+const { resolveIngestOptions, describeInput } = require('./ingest');
+const { resolvePriority, queueStats } = require('./queue');
+const { checkRenderLimits } = require('./auth');
+const { parseTracks } = require('./tracks');
+const { validateTimeline } = require('./schema');
+const { buildPlan } = require('./plan');
+const { resolveOutputFormat, profileRequested } = require('./formats');
+const { resolveOutputProfile } = require('./output');
+const { resolveSubtitles, checkSubtitleStyle } = require('./subtitles');
+const { resolveTranscribeOptions } = require('./transcribe');
+const { runRenderPipeline } = require('./pipeline');
+
+// The sequencing engine: request bodies in, renders out. The Express server,
+// the Vercel function (api/sequence-videos.js) and the CLI
+// (bin/video-sequencer.js) all go through here, so a body is validated,
+// limited and rendered the same way wherever it is sent.
+//
+//   prepareRender(type, body, { uploads, owner, limits })
+//     checks a body of one of the RENDER_TYPES and resolves its options
+//     without downloading anything; a bad body throws (400, or 403 over the
+//     API key's limits). Resolves to { type, tag, format, run }, where
+//     `run(onProgress, workspace, limits)` renders into the workspace and
+//     resolves to { outputPath, result, sidecars }.
+//   planRender(body, { limits, queue })
+//     the dry run of POST /api/plan for the same bodies as render / sequence
+
+const RENDER_TYPES = {
+  render: 'RENDER',
+  sequence: 'SEQUENCE',
+  audio: 'AUDIO',
+  subtitles: 'SUBTITLES'
+};
+
+// Response summaries. Each endpoint keeps the fields it has always returned.
+function describeSequence(render) {
+  const { sequence } = render;
+  return {
+    message: `Successfully sequenced ${sequence.includedCount} of ${sequence.clipCount} videos (${sequence.batchesProcessed}/${sequence.totalBatches} batches successful)`,
+    size: render.size,
+    videosAttempted: sequence.clipCount,
+    videosIncluded: sequence.includedCount,
+    segments: sequence.segments,
+    batchesProcessed: sequence.batchesProcessed,
+    totalBatches: sequence.totalBatches,
+    totalDuration: `${render.duration.toFixed(2)} seconds`,
+    plannedDuration: `${sequence.plannedDuration.toFixed(2)} seconds`,
+    transitions: sequence.transitions,
+    audioClips: render.audioClips,
+    ducking: render.ducked,
+    output: render.output
+  };
+}
+
+function describeAudio(render) {
+  return {
+    message: `Successfully mixed ${render.audioClips.length} audio clips into video (${render.duration.toFixed(2)} seconds)`,
+    size: render.size,
+    duration: `${render.duration.toFixed(2)} seconds`,
+    hasAudio: render.hasAudio,
+    audioClips: render.audioClips,
+    ducking: render.ducked,
+    originalAudioKept: render.keptOriginalAudio,
+    output: render.output
+  };
+}
+
+function describeSubtitles(render) {
+  const [caption] = render.captions;
+  return {
+    message: `Successfully burned ${caption.cueCount !== null ? `${caption.cueCount} subtitle cues` : 'ASS subtitles'} into video (${render.duration.toFixed(1)} seconds)`,
+    size: render.size,
+    originalSize: render.sourceSize,
+    duration: `${render.duration.toFixed(1)} seconds`,
+    subtitleFormat: caption.format,
+    cueCount: caption.cueCount,
+    output: render.output
+  };
+}
+
+function describeRender(render) {
+  return {
+    ...describeSequence(render),
+    message: `Successfully rendered ${render.sequence.includedCount} of ${render.sequence.clipCount} clips, ${render.audioClips.length} audio clips, ${render.captions.length} caption tracks and ${render.overlays} overlays (${render.duration.toFixed(2)} seconds)`,
+    captions: render.captions,
+    overlays: render.overlays
+  };
+}
+
+// The timeline of a sequencing request (/api/render, /api/sequence-videos,
+// /api/plan), checked against the schema first (lib/schema.js): its tracks, or
+// the legacy `videoUrls` list played 5 seconds each. A `plan` leaves subtitle
+// URLs unfetched.
+async function parseTimelineRequest(body, { plan = false } = {}) {
+  validateTimeline(body, { requireVideo: true });
+  if (body.tracks && body.tracks.length > 0) {
+    return parseTracks(body.tracks, { plan });
+  }
+  return {
+    videoKeyframes: body.videoUrls.map((video, index) => ({
+      url: video.mp4_url || video,
+      timestamp: index * 5,
+      duration: 5
+    })),
+    audioClips: [],
+    captions: [],
+    overlays: []
+  };
+}
+
+// Planned length of a timeline, or null while some clips still have to be
+// measured (runRenderPipeline checks the limits again once they are)
+function knownDuration(timeline) {
+  return timeline.some(item => item.autoDuration) ? null : timelineDuration(timeline);
+}
+
+// Wraps runRenderPipeline as a prepared render's `run`: { outputPath, result, sidecars }.
+// An exported format adds its content type (and entry file) to the result, a
+// transcription its cues.
+function renderWith(spec, describe) {
+  return (onProgress, workspace, limits) => runRenderPipeline({ ...spec, workspace, limits }, onProgress)
+    .then((render) => {
+      const result = describe(render);
+      if (render.transcript) result.transcript = render.transcript;
+      if (render.format) {
+        const { contentType, entry, ...format } = render.format;
+        Object.assign(result, { contentType, entry, format });
+      }
+      return { outputPath: render.outputPath, result, sidecars: render.sidecars };
+    });
+}
+
+// render: a tracks document. sequence: tracks, or the legacy videoUrls list.
+async function prepareTimeline(type, body, { uploads, owner, limits }) {
+  const tag = RENDER_TYPES[type];
+  const { videoUrls, tracks, batchSize = 3, gapFill = 'black', output } = body;
+
+  if (type === 'render' && !tracks) {
+    throw badRequest('tracks array is required');
+  }
+  if (type === 'sequence' && !(tracks && tracks.length > 0) && !videoUrls) {
+    throw badRequest('Either videoUrls array or tracks array is required');
+  }
+
+  const parsed = await parseTimelineRequest(body);
+  const timeline = buildTimeline(parsed.videoKeyframes, { gapFill });
+  checkRenderLimits(limits, { clips: parsed.videoKeyframes.length, duration: knownDuration(timeline) });
+  const profile = resolveOutputProfile(output);
+  const format = resolveOutputFormat(output);
+  const mixOptions = resolveMixOptions(body, { keepOriginalAudio: true });
+  const ingest = resolveIngestOptions(body, { uploads, owner });
+
+  if (type === 'render') {
+    console.log(`📊 [RENDER] ${parsed.videoKeyframes.length} video clips (${timelineDuration(timeline).toFixed(2)}s), ${parsed.audioClips.length} audio clips, ${parsed.captions.length} caption tracks, ${parsed.overlays.length} overlays`);
+  } else {
+    console.log(`📊 [SEQUENCE] Processing ALL ${parsed.videoKeyframes.length} video clips (${timelineDuration(timeline).toFixed(2)}s timeline, gaps: ${gapFill}) - NO LIMITS!`);
+    console.log(`🔄 [SEQUENCE] Using batch size: ${batchSize} videos per batch (failed segments: ${ingest.failurePolicy})`);
+  }
+  console.log(`🎛️ [${tag}] Output: ${profile.profile} ${profile.width}x${profile.height} @ ${profile.fps}fps (${profile.fit}), ${format.name}`);
+  if (type === 'sequence' && parsed.audioClips.length > 0) {
+    console.log(`🎵 [SEQUENCE] Mixing ${parsed.audioClips.length} audio clips (original audio ${mixOptions.keepOriginalAudio ? 'kept' : 'dropped'})`);
+  }
+
+  return {
+    type,
+    tag,
+    format,
+    run: renderWith({
+      timeline,
+      keyframes: parsed.videoKeyframes,
+      gapFill,
+      batchSize,
+      profile,
+      audioClips: parsed.audioClips,
+      mixOptions,
+      captions: parsed.captions,
+      overlays: parsed.overlays,
+      ...ingest,
+      format,
+      tag
+    }, type === 'render' ? describeRender : describeSequence)
+  };
+}
+
+// audio: one video track plus the audio tracks mixed onto it
+async function prepareAudio(body, { uploads, owner, limits }) {
+  const { tracks, transcribe, style = {}, output } = body;
+
+  if (!tracks || tracks.length < 2) {
+    throw badRequest('Both video and audio tracks are required');
+  }
+
+  validateTimeline(body);
+  const videoTrack = tracks
+    .filter(track => track.type === 'video' && track.keyframes && track.keyframes.length > 0)
+    .map(track => track.keyframes[0])[0];
+  const audioClips = collectAudioClips(tracks);
+
+  if (!videoTrack || audioClips.length === 0) {
+    throw badRequest('Both video and audio keyframes are required');
+  }
+  // The output is as long as the video: known up front only when the body says
+  const statedDuration = Number(videoTrack.duration) > 0 ? Number(videoTrack.duration) : null;
+  checkRenderLimits(limits, { clips: 1, duration: statedDuration });
+
+  // Replaces the video's own audio unless keepOriginalAudio is set
+  const mixOptions = resolveMixOptions(body, { keepOriginalAudio: false });
+  const profile = profileRequested(output) ? resolveOutputProfile(output) : null;
+  const format = resolveOutputFormat(output);
+  const { download } = resolveIngestOptions(body, { uploads, owner });
+  // Captions of the narration (or, with source "video", the video's own speech)
+  const transcribeOptions = resolveTranscribeOptions(transcribe, { defaultSource: 'audio' });
+  checkSubtitleStyle(style);
+
+  console.log(`📹 [AUDIO] Video: ${describeInput(videoTrack.url)}`);
+  audioClips.forEach(clip => {
+    console.log(`🎵 [AUDIO] Audio (${clip.role}) @ ${clip.timestamp}s: ${describeInput(clip.url)}`);
+  });
+
+  return {
+    type: 'audio',
+    tag: 'AUDIO',
+    format,
+    run: renderWith({
+      source: { url: videoTrack.url, duration: videoTrack.duration },
+      profile,
+      audioClips,
+      mixOptions,
+      captions: transcribeOptions ? [{ format: 'transcript', transcribe: transcribeOptions, style }] : [],
+      download,
+      format,
+      tag: 'AUDIO'
+    }, describeAudio)
+  };
+}
+
+// subtitles: a video_url and its subtitles (or transcribe) to burn in
+async function prepareSubtitles(body, { uploads, owner, limits }) {
+  const { video_url, subtitles, transcribe, style = {}, output } = body;
+
+  if (!video_url) {
+    throw badRequest('video_url is required');
+  }
+  if (!subtitles && !transcribe) {
+    throw badRequest('subtitles is required (cue array, SRT/VTT/ASS text, or URL), or transcribe to caption the speech');
+  }
+  if (subtitles && transcribe) {
+    throw badRequest('Pass either subtitles or transcribe, not both');
+  }
+  // One clip; its length is only known once the video is probed
+  checkRenderLimits(limits, { clips: 1 });
+
+  // Resolve subtitles and output before downloading the video so bad input fails fast
+  const profile = profileRequested(output) ? resolveOutputProfile(output) : null;
+  const format = resolveOutputFormat(output);
+  const { download } = resolveIngestOptions(body, { uploads, owner });
+  const transcribeOptions = resolveTranscribeOptions(transcribe, { defaultSource: 'video' });
+  checkSubtitleStyle(style);
+  if (transcribeOptions && transcribeOptions.source !== 'video') {
+    throw badRequest('transcribe.source must be "video" here (the only soundtrack is the video\'s)');
+  }
+  const track = transcribeOptions
+    ? { format: 'transcript', transcribe: transcribeOptions }
+    : await resolveSubtitles(subtitles);
+  if (track.cues && track.cues.length === 0) {
+    throw badRequest('subtitles contained no cues');
+  }
+
+  console.log(`📹 [SUBTITLES] Video: ${describeInput(video_url)}`);
+  console.log(`📝 [SUBTITLES] Format: ${track.format}${track.cues ? ` (${track.cues.length} cues)` : ''}${transcribeOptions ? ` (language: ${transcribeOptions.language}${transcribeOptions.karaoke ? ', karaoke' : ''})` : ''}`);
+
+  return {
+    type: 'subtitles',
+    tag: 'SUBTITLES',
+    format,
+    run: renderWith({
+      source: { url: video_url },
+      profile,
+      captions: [{ ...track, style }],
+      download,
+      format,
+      tag: 'SUBTITLES'
+    }, describeSubtitles)
+  };
+}
+
+// `uploads` are the files a body's upload:<name> inputs refer to, `owner` the
+// API key its job:<id> inputs are resolved as and `limits` that key's render
+// limits (none without API keys)
+function prepareRender(type, body, { uploads = null, owner = null, limits = null } = {}) {
+  if (!RENDER_TYPES[type]) {
+    throw badRequest(`Unknown render type "${type}"; expected one of: ${Object.keys(RENDER_TYPES).join(', ')}`);
+  }
+  if (type === 'audio') return prepareAudio(body, { uploads, owner, limits });
+  if (type === 'subtitles') return prepareSubtitles(body, { uploads, owner, limits });
+  return prepareTimeline(type, body, { uploads, owner, limits });
+}
+
+// The resolved timeline of a render / sequence body, its batches and rough
+// size and time estimates (lib/plan.js), with `limits` saying whether the
+// render would be allowed. A body the render would refuse throws the same 400.
+// `queue` (queueStats() of the queue it would wait in) feeds the wait estimate.
+async function planRender(body, { limits = null, queue = queueStats() } = {}) {
+  const { videoUrls, tracks, batchSize = 3, gapFill = 'black', output } = body;
+
+  if (!(tracks && tracks.length > 0) && !videoUrls) {
+    throw badRequest('Either videoUrls array or tracks array is required');
+  }
+
+  const parsed = await parseTimelineRequest(body, { plan: true });
+  const timeline = buildTimeline(parsed.videoKeyframes, { gapFill });
+  const profile = resolveOutputProfile(output);
+  const format = resolveOutputFormat(output);
+  resolveMixOptions(body, { keepOriginalAudio: true });
+  resolveIngestOptions(body);
+  resolvePriority(body);
+
+  const plan = buildPlan({
+    timeline,
+    batchSize,
+    gapFill,
+    profile,
+    format,
+    audioClips: parsed.audioClips,
+    captions: parsed.captions,
+    overlays: parsed.overlays,
+    queue
+  });
+
+  // Over the key's limits the render would be refused; the plan says so
+  let allowed = { allowed: true };
+  try {
+    checkRenderLimits(limits, { clips: parsed.videoKeyframes.length, duration: knownDuration(timeline) });
+  } catch (error) {
+    allowed = { allowed: false, error: error.message };
+  }
+
+  console.log(`🧭 [PLAN] ${plan.timeline.clipCount} clips, ${plan.timeline.duration.toFixed(2)}s in ${plan.batches.length} batches (~${(plan.estimates.outputBytes / 1024 / 1024).toFixed(1)} MB, ~${plan.estimates.renderSeconds}s)`);
+
+  return { ...plan, limits: allowed };
+}
+
+module.exports = {
+  RENDER_TYPES,
+  prepareRender,
+  planRender
+};
@@ -0,0 +1,15 @@
+// Errors carrying an HTTP status. Route handlers respond with
+// `error.status || 500`, so anything thrown from a pipeline with a status
+// (bad input, missing media) reaches the client with the right code.
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+function badRequest(message, details) {
+  return httpError(400, message, details);
+}
+
+module.exports = { httpError, badRequest };
@@ -0,0 +1,189 @@
+const { badRequest } = require('./errors');
+const { parseBitrate } = require('./output');
+
+// Output formats. Every pipeline renders H.264/AAC MP4; `output.format` turns
+// that into something else in a final export step:
+//
+//   mp4 (default)   as rendered
+//   mov             the same streams remuxed into QuickTime
+//   webm            VP9 video + Opus audio
+//   hls             a ladder of H.264 renditions with .m3u8 playlists and
+//                   segments. `output.hls: { renditions: [720, 480, 360],
+//                   segmentDuration: 6, package: 'files' | 'tar' }` — renditions
+//                   are short-edge sizes no larger than the output. 'files'
+//                   stores the playlists and segments as they are (the `url` is
+//                   the master playlist); 'tar' bundles them into one archive.
+//   mp3, aac, wav   the mixed soundtrack alone (aac is written as .m4a)
+
+const FORMATS = {
+  mp4: { extension: '.mp4', contentType: 'video/mp4' },
+  mov: { extension: '.mov', contentType: 'video/quicktime' },
+  webm: { extension: '.webm', contentType: 'video/webm' },
+  hls: { extension: '', contentType: 'application/vnd.apple.mpegurl' },
+  mp3: { extension: '.mp3', contentType: 'audio/mpeg', audioOnly: true },
+  aac: { extension: '.m4a', contentType: 'audio/mp4', audioOnly: true },
+  wav: { extension: '.wav', contentType: 'audio/wav', audioOnly: true }
+};
+
+// Short edge → target bitrates, highest first
+const HLS_LADDER = [
+  { shortEdge: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { shortEdge: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { shortEdge: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { shortEdge: 360, videoBitrate: 800, audioBitrate: 64 },
+  { shortEdge: 240, videoBitrate: 400, audioBitrate: 64 }
+];
+const HLS_PACKAGES = ['files', 'tar'];
+const HLS_MASTER_PLAYLIST = 'master.m3u8';
+
+const FORMAT_FIELDS = ['format', 'hls'];
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+// `output` as the endpoints receive it (a profile name or an object)
+function resolveOutputFormat(output) {
+  const options = output && typeof output === 'object' ? output : {};
+  const name = options.format || 'mp4';
+  if (!FORMATS[name]) {
+    throw badRequest(`output.format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const format = {
+    name,
+    ...FORMATS[name],
+    audioBitrate: options.audioBitrate !== undefined ? parseBitrate(options.audioBitrate, 'audioBitrate') : null
+  };
+  if (name !== 'hls') {
+    if (options.hls !== undefined) throw badRequest('output.hls only applies to output.format "hls"');
+    return format;
+  }
+
+  const hls = options.hls && typeof options.hls === 'object' ? options.hls : {};
+  const pack = hls.package || 'files';
+  if (!HLS_PACKAGES.includes(pack)) {
+    throw badRequest(`output.hls.package must be one of: ${HLS_PACKAGES.join(', ')}`);
+  }
+  const segmentDuration = hls.segmentDuration !== undefined ? Number(hls.segmentDuration) : 6;
+  if (!Number.isFinite(segmentDuration) || segmentDuration < 1 || segmentDuration > 30) {
+    throw badRequest('output.hls.segmentDuration must be a number of seconds between 1 and 30');
+  }
+  let renditions = null;
+  if (hls.renditions !== undefined) {
+    if (!Array.isArray(hls.renditions) || hls.renditions.length === 0 || hls.renditions.length > HLS_LADDER.length ||
+      hls.renditions.some(size => !Number.isInteger(size) || size < 120 || size > 2160)) {
+      throw badRequest(`output.hls.renditions must be 1 to ${HLS_LADDER.length} short-edge sizes in pixels, such as [720, 480, 360]`);
+    }
+    renditions = [...new Set(hls.renditions)].sort((a, b) => b - a);
+  }
+
+  return {
+    ...format,
+    // Stored as a directory unless bundled
+    directory: pack === 'files',
+    extension: pack === 'tar' ? '.tar' : '',
+    contentType: pack === 'tar' ? 'application/x-tar' : format.contentType,
+    entry: pack === 'files' ? HLS_MASTER_PLAYLIST : null,
+    hls: { package: pack, segmentDuration, renditions }
+  };
+}
+
+// Whether `output` asks for anything besides the format, i.e. a re-framing
+// profile (add-audio and add-subtitles keep the source size otherwise)
+function profileRequested(output) {
+  if (!output) return false;
+  if (typeof output !== 'object') return true;
+  return Object.keys(output).some(key => !FORMAT_FIELDS.includes(key));
+}
+
+// ffmpeg output options for the single-file exports
+function exportOptions(format, { hasAudio }) {
+  if (format.name === 'mov') {
+    return ['-c', 'copy', '-movflags', '+faststart', '-f', 'mov'];
+  }
+  if (format.name === 'webm') {
+    return [
+      '-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-row-mt', '1', '-deadline', 'good', '-cpu-used', '4',
+      '-pix_fmt', 'yuv420p',
+      ...(hasAudio ? ['-c:a', 'libopus', '-b:a', format.audioBitrate || '128k', '-ar', '48000', '-ac', '2'] : ['-an']),
+      '-f', 'webm'
+    ];
+  }
+  if (format.name === 'mp3') {
+    return ['-vn', '-c:a', 'libmp3lame', '-b:a', format.audioBitrate || '192k', '-f', 'mp3'];
+  }
+  if (format.name === 'aac') {
+    // Already AAC in the render; a bitrate asks for a re-encode
+    const audio = format.audioBitrate ? ['-c:a', 'aac', '-b:a', format.audioBitrate] : ['-c:a', 'copy'];
+    return ['-vn', ...audio, '-movflags', '+faststart', '-f', 'ipod'];
+  }
+  if (format.name === 'wav') {
+    return ['-vn', '-c:a', 'pcm_s16le', '-f', 'wav'];
+  }
+  return [];
+}
+
+// Renditions for a `width` x `height` video: the requested short edges (or
+// the standard ladder) no larger than the video itself, plus the video's own
+// size when it is between ladder rungs
+function hlsRenditions(format, { width, height }) {
+  const shortEdge = Math.min(width, height);
+  const sizes = format.hls.renditions || HLS_LADDER.map(rung => rung.shortEdge);
+  const fitting = sizes.filter(size => size <= shortEdge);
+  if (!format.hls.renditions && !fitting.includes(shortEdge)) fitting.unshift(shortEdge);
+  if (fitting.length === 0) fitting.push(shortEdge);
+
+  return fitting.map(size => {
+    const rung = HLS_LADDER.find(entry => entry.shortEdge <= size) || HLS_LADDER[HLS_LADDER.length - 1];
+    const scale = size / shortEdge;
+    return {
+      name: `${size}p`,
+      width: even(width * scale),
+      height: even(height * scale),
+      videoBitrate: rung.videoBitrate,
+      audioBitrate: rung.audioBitrate
+    };
+  });
+}
+
+// ffmpeg output options for one rendition's playlist + segments. Keyframes
+// land on segment boundaries so every segment starts cleanly.
+function hlsRenditionOptions(rendition, { fps, segmentDuration, hasAudio, segmentPattern }) {
+  const gop = Math.max(1, Math.round(fps * segmentDuration));
+  return [
+    '-map', '0:v:0',
+    ...(hasAudio ? ['-map', '0:a:0'] : []),
+    '-vf', `scale=${rendition.width}:${rendition.height},setsar=1`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+    '-b:v', `${rendition.videoBitrate}k`,
+    '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rendition.videoBitrate * 2}k`,
+    '-g', String(gop), '-keyint_min', String(gop), '-sc_threshold', '0',
+    ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2'] : []),
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', segmentPattern
+  ];
+}
+
+function buildMasterPlaylist(renditions) {
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap(rendition => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${(rendition.videoBitrate + rendition.audioBitrate) * 1000},RESOLUTION=${rendition.width}x${rendition.height}`,
+      `${rendition.name}/index.m3u8`
+    ])
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  HLS_MASTER_PLAYLIST,
+  resolveOutputFormat,
+  profileRequested,
+  exportOptions,
+  hlsRenditions,
+  hlsRenditionOptions,
+  buildMasterPlaylist
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { WORKSPACE_ROOT } = require('./workspace');
+const { queueStats } = require('./queue');
+
+// Liveness and readiness. GET /healthz answers while the process serves
+// requests at all; GET /readyz checks what a render needs and answers 503
+// when any check fails, so load balancers stop sending work:
+//
+//   ffmpeg, ffprobe   the binaries run (FFMPEG_PATH / FFPROBE_PATH or PATH)
+//   disk              the filesystem of WORKSPACE_ROOT has MIN_FREE_DISK_BYTES
+//                     free (default 1GB)
+//   queue             the render queue can take another render and the
+//                     server isn't shutting down
+//
+// Binary checks are cached for BINARY_CHECK_TTL_MS so frequent probes don't
+// spawn processes every time. /readyz is unauthenticated, so a check answers
+// only whether it passed (and the binary's version); paths and errors go to
+// the log.
+
+const MIN_FREE_DISK_BYTES = process.env.MIN_FREE_DISK_BYTES !== undefined
+  ? parseInt(process.env.MIN_FREE_DISK_BYTES, 10) || 0
+  : 1024 * 1024 * 1024; // 1GB
+const BINARY_CHECK_TTL_MS = 60 * 1000;
+const BINARY_CHECK_TIMEOUT_MS = 5000;
+
+const BINARIES = {
+  ffmpeg: () => process.env.FFMPEG_PATH || 'ffmpeg',
+  ffprobe: () => process.env.FFPROBE_PATH || 'ffprobe'
+};
+
+// name → { checkedAt, result }
+const binaryChecks = new Map();
+
+function runVersion(binary) {
+  return new Promise((resolve) => {
+    execFile(binary, ['-version'], { timeout: BINARY_CHECK_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        console.error(`⚠️ [HEALTH] ${binary} -version failed:`, error.code === 'ENOENT' ? 'not found' : error.message);
+        resolve({ ok: false });
+        return;
+      }
+      const version = /version (\S+)/.exec(stdout);
+      resolve({ ok: true, version: version ? version[1] : 'unknown' });
+    });
+  });
+}
+
+async function checkBinary(name) {
+  const cached = binaryChecks.get(name);
+  if (cached && Date.now() - cached.checkedAt < BINARY_CHECK_TTL_MS) return cached.result;
+  const result = await runVersion(BINARIES[name]());
+  binaryChecks.set(name, { checkedAt: Date.now(), result });
+  return result;
+}
+
+async function checkDisk() {
+  // fs.statfs arrived in Node 18.15
+  if (!fs.promises.statfs) return { ok: true };
+  try {
+    fs.mkdirSync(WORKSPACE_ROOT, { recursive: true });
+    const stats = await fs.promises.statfs(WORKSPACE_ROOT);
+    const freeBytes = stats.bavail * stats.bsize;
+    if (freeBytes < MIN_FREE_DISK_BYTES) {
+      console.error(`⚠️ [HEALTH] ${WORKSPACE_ROOT} has ${freeBytes} bytes free, below MIN_FREE_DISK_BYTES (${MIN_FREE_DISK_BYTES})`);
+      return { ok: false };
+    }
+    return { ok: true };
+  } catch (error) {
+    console.error(`⚠️ [HEALTH] Disk check of ${WORKSPACE_ROOT} failed:`, error.message);
+    return { ok: false };
+  }
+}
+
+function checkQueue() {
+  const stats = queueStats();
+  return {
+    ok: !stats.draining && stats.waiting < stats.limit,
+    draining: stats.draining,
+    running: stats.running,
+    concurrency: stats.concurrency,
+    waiting: stats.waiting,
+    limit: stats.limit
+  };
+}
+
+// { ready, checks: { ffmpeg, ffprobe, disk, queue } }
+async function readiness() {
+  const [ffmpeg, ffprobe, disk] = await Promise.all([checkBinary('ffmpeg'), checkBinary('ffprobe'), checkDisk()]);
+  const checks = { ffmpeg, ffprobe, disk, queue: checkQueue() };
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = {
+  MIN_FREE_DISK_BYTES,
+  readiness
+};
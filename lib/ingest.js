@@ -0,0 +1,296 @@
+const fs = require('fs');
+const { pipeline, Transform } = require('stream');
+const fetch = require('node-fetch');
+const { httpError, badRequest } = require('./errors');
+const { getJob } = require('./jobs');
+const { findUpload } = require('./uploads');
+const { fetchRemote } = require('./remote');
+const { currentSignal } = require('./queue');
+const { recordDownload } = require('./metrics');
+
+// Media ingestion: every remote input is streamed straight to disk with a size
+// cap and a per-attempt timeout, and retried with exponential backoff when the
+// failure looks transient (network errors, timeouts, 5xx, 429).
+//
+// Anywhere a media URL is accepted, an input may also be:
+//   data:<mime>;base64,...  inline file (e.g. the `videoData` a render returned)
+//   upload:<name>           a file part of a multipart request (lib/uploads.js)
+//   job:<id>                the output of an earlier completed job
+// These go through the same size limit as downloads.
+//
+// Server-wide limits come from the environment; a request may tighten them
+// (never loosen) with `download: { maxBytes, timeoutMs, retries }`.
+// `failurePolicy` decides what happens to a video segment that can't be
+// downloaded or decoded:
+//   skip        → drop it and close the gap (default, the original behaviour)
+//   fail        → abort the whole render
+//   placeholder → keep its slot on the timeline as black frames + silence
+
+const DOWNLOAD_LIMITS = {
+  maxBytes: parseInt(process.env.DOWNLOAD_MAX_BYTES, 10) || 100 * 1024 * 1024, // 100MB
+  timeoutMs: parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 30000,
+  retries: process.env.DOWNLOAD_RETRIES !== undefined ? parseInt(process.env.DOWNLOAD_RETRIES, 10) : 2
+};
+
+const RETRY_BACKOFF_MS = 500;
+const FAILURE_POLICIES = ['skip', 'fail', 'placeholder'];
+
+function limitOption(value, field, max) {
+  if (value === undefined || value === null) return max;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw badRequest(`download.${field} must be a non-negative integer`);
+  }
+  return Math.min(number, max);
+}
+
+// `uploads` are the files of a multipart request, if any; `owner` is the
+// caller's API key name, which job: references are resolved as
+function resolveIngestOptions(body, { uploads = null, owner = null } = {}) {
+  const download = body.download && typeof body.download === 'object' ? body.download : {};
+  const failurePolicy = body.failurePolicy || 'skip';
+  if (!FAILURE_POLICIES.includes(failurePolicy)) {
+    throw badRequest(`failurePolicy must be one of: ${FAILURE_POLICIES.join(', ')}`);
+  }
+
+  return {
+    download: {
+      maxBytes: limitOption(download.maxBytes, 'maxBytes', DOWNLOAD_LIMITS.maxBytes),
+      timeoutMs: limitOption(download.timeoutMs, 'timeoutMs', DOWNLOAD_LIMITS.timeoutMs),
+      retries: limitOption(download.retries, 'retries', DOWNLOAD_LIMITS.retries),
+      uploads,
+      owner
+    },
+    failurePolicy
+  };
+}
+
+// `reason` is a short machine-readable code for per-segment reports
+function downloadError(status, reason, message, { retryable = false, httpStatus } = {}) {
+  const error = httpError(status, message);
+  error.reason = reason;
+  error.retryable = retryable;
+  if (httpStatus) error.httpStatus = httpStatus;
+  return error;
+}
+
+const formatMB = bytes => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+function tooLarge(maxBytes) {
+  return downloadError(413, 'too_large', `File exceeds the ${formatMB(maxBytes)} download limit`);
+}
+
+// Caller-supplied URLs go through the fetch policy (lib/remote.js); `trusted`
+// is for URLs we produced ourselves, such as a stored job output
+async function attemptDownload(url, destPath, { maxBytes, timeoutMs, trusted }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  // A cancelled render stops its downloads too
+  const renderSignal = currentSignal();
+  const cancel = () => controller.abort();
+  if (renderSignal) renderSignal.addEventListener('abort', cancel);
+
+  try {
+    const response = trusted
+      ? await fetch(url, { signal: controller.signal })
+      : await fetchRemote(url, { signal: controller.signal });
+
+    if (!response.ok) {
+      throw downloadError(502, 'http_error', `HTTP ${response.status}`, {
+        retryable: response.status >= 500 || response.status === 429,
+        httpStatus: response.status
+      });
+    }
+
+    // Reject early when the server announces the size; otherwise count bytes
+    // as they stream in
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (declared > maxBytes) throw tooLarge(maxBytes);
+
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(received > maxBytes ? tooLarge(maxBytes) : null, chunk);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      pipeline(response.body, limiter, fs.createWriteStream(destPath), err => (err ? reject(err) : resolve()));
+    });
+
+    return received;
+  } catch (error) {
+    if (error.reason) throw error;
+    if (error.name === 'AbortError') {
+      if (renderSignal && renderSignal.aborted) throw downloadError(409, 'cancelled', 'Render was cancelled');
+      throw downloadError(504, 'timeout', `Download timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    if (error instanceof TypeError) {
+      throw downloadError(400, 'invalid_url', `Invalid URL: ${error.message}`);
+    }
+    throw downloadError(502, 'network_error', error.message, { retryable: true });
+  } finally {
+    clearTimeout(timeoutId);
+    if (renderSignal) renderSignal.removeEventListener('abort', cancel);
+  }
+}
+
+function copyLocalFile(sourcePath, destPath, maxBytes) {
+  const bytes = fs.statSync(sourcePath).size;
+  if (bytes > maxBytes) throw tooLarge(maxBytes);
+  fs.copyFileSync(sourcePath, destPath);
+  return { bytes, attempts: 1 };
+}
+
+function writeDataUri(uri, destPath, maxBytes) {
+  const comma = uri.indexOf(',');
+  if (comma === -1) {
+    throw downloadError(400, 'invalid_data_uri', 'Malformed data: URI');
+  }
+  const meta = uri.slice(5, comma);
+  const data = uri.slice(comma + 1);
+
+  // Check the decoded size before decoding anything
+  const base64 = /;base64$/i.test(meta);
+  if ((base64 ? Math.floor(data.length * 3 / 4) : data.length) > maxBytes + 2) throw tooLarge(maxBytes);
+
+  let buffer;
+  try {
+    buffer = base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data), 'binary');
+  } catch (error) {
+    throw downloadError(400, 'invalid_data_uri', `Malformed data: URI: ${error.message}`);
+  }
+  if (buffer.length === 0) {
+    throw downloadError(400, 'invalid_data_uri', 'data: URI is empty');
+  }
+  if (buffer.length > maxBytes) throw tooLarge(maxBytes);
+
+  fs.writeFileSync(destPath, buffer);
+  return { bytes: buffer.length, attempts: 1 };
+}
+
+// job:<id> → the job's stored file when it is on this machine, otherwise the
+// URL its output was stored at (S3)
+function resolveJobReference(id, owner) {
+  const job = getJob(id, owner);
+  if (!job) {
+    throw downloadError(404, 'job_not_found', `Job ${id} not found`);
+  }
+  if (job.status !== 'completed') {
+    throw downloadError(409, 'job_not_ready', `Job ${id} is ${job.status}`);
+  }
+  return job.outputPath && fs.existsSync(job.outputPath)
+    ? { path: job.outputPath }
+    : { url: job.result.url };
+}
+
+// Logs, errors and reports show inline data: URIs as their type and size
+// instead of echoing the whole payload back
+function describeInput(url) {
+  const reference = String(url);
+  if (!/^data:/i.test(reference)) return reference;
+  const comma = reference.indexOf(',');
+  const type = (comma === -1 ? reference.slice(5) : reference.slice(5, comma)).split(';')[0] || 'text/plain';
+  return `data:${type} (${comma === -1 ? 0 : reference.length - comma - 1} chars)`;
+}
+
+// A cheap identity for the current version of a remote input, from a HEAD
+// request's ETag or Last-Modified, so cached work derived from it can be
+// reused without downloading it again. Null when the input isn't http(s), the
+// server sends neither header, or the HEAD request fails for any reason (the
+// download then reports the real problem).
+async function sourceVersion(url, { timeoutMs = DOWNLOAD_LIMITS.timeoutMs } = {}) {
+  if (!/^https?:/i.test(String(url))) return null;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const renderSignal = currentSignal();
+  const cancel = () => controller.abort();
+  if (renderSignal) renderSignal.addEventListener('abort', cancel);
+
+  try {
+    const response = await fetchRemote(url, { method: 'HEAD', signal: controller.signal });
+    if (!response.ok) return null;
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (!etag && !lastModified) return null;
+    return `${url} ${etag || ''} ${lastModified || ''}`;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+    if (renderSignal) renderSignal.removeEventListener('abort', cancel);
+  }
+}
+
+// downloadMedia without the metrics
+async function fetchMedia(url, destPath, options = {}) {
+  const { maxBytes, timeoutMs, retries, uploads, owner } = { ...DOWNLOAD_LIMITS, ...options };
+  const reference = String(url);
+
+  if (/^data:/i.test(reference)) {
+    return writeDataUri(reference, destPath, maxBytes);
+  }
+  if (reference.startsWith('upload:')) {
+    const upload = findUpload(uploads, reference.slice('upload:'.length));
+    if (!upload) {
+      throw downloadError(400, 'unknown_upload', `No uploaded file named "${reference.slice('upload:'.length)}"`);
+    }
+    return copyLocalFile(upload.path, destPath, maxBytes);
+  }
+  let trusted = false;
+  if (reference.startsWith('job:')) {
+    const job = resolveJobReference(reference.slice('job:'.length), owner);
+    if (job.path) return copyLocalFile(job.path, destPath, maxBytes);
+    url = job.url;
+    trusted = true;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const bytes = await attemptDownload(url, destPath, { maxBytes, timeoutMs, trusted });
+      return { bytes, attempts: attempt };
+    } catch (error) {
+      try { fs.unlinkSync(destPath); } catch (e) {}
+      error.attempts = attempt;
+      const signal = currentSignal();
+      if (signal && signal.aborted) throw downloadError(409, 'cancelled', 'Render was cancelled');
+      if (!error.retryable || attempt > retries) throw error;
+
+      const delay = RETRY_BACKOFF_MS * 2 ** (attempt - 1);
+      console.log(`🔁 [DOWNLOAD] ${error.message} - retrying in ${delay}ms (attempt ${attempt + 1}/${retries + 1}): ${url}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Kind of input `url` is, for the download metrics
+function inputSource(url) {
+  const match = /^(data|upload|job):/i.exec(String(url));
+  return match ? match[1].toLowerCase() : 'http';
+}
+
+// Copies input `url` (http(s), data:, upload:, job:) to `destPath`. Resolves
+// { bytes, attempts }; rejects with an httpError carrying `reason` and
+// `attempts`. A failed download never leaves a partial file behind.
+async function downloadMedia(url, destPath, options = {}) {
+  const source = inputSource(url);
+  try {
+    const downloaded = await fetchMedia(url, destPath, options);
+    recordDownload(source, { bytes: downloaded.bytes });
+    return downloaded;
+  } catch (error) {
+    recordDownload(source, { failed: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  DOWNLOAD_LIMITS,
+  FAILURE_POLICIES,
+  resolveIngestOptions,
+  downloadMedia,
+  sourceVersion,
+  describeInput
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { interruptedError } = require('./queue');
+
+// In-memory registry for renders started with `async: true`. A job owns its
+// workspace (and the output file inside it) until it expires; the HTTP layer
+// only reads from here.
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const jobs = new Map();
+
+// `owner` is the API key name that started the job (null when auth is off);
+// other keys can't see it
+function createJob(type, workspace = null, owner = null) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: {},
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    errorDetails: null,
+    // Why it failed (an httpError reason)
+    reason: null,
+    outputPath: null,
+    workspace,
+    owner,
+    // Render queue ticket (lib/queue.js) while the job waits or runs
+    ticket: null,
+    webhook: null
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+// With `requester` (an API key name), jobs owned by another key read as missing
+function getJob(id, requester = null) {
+  const job = jobs.get(id) || null;
+  if (job && job.owner && job.owner !== requester) return null;
+  return job;
+}
+
+function updateProgress(job, progress) {
+  job.progress = { ...job.progress, ...progress };
+  job.updatedAt = new Date().toISOString();
+}
+
+// Runs `task(onProgress)` in the background. The task resolves with
+// { outputPath, result } exactly like the synchronous pipelines do.
+function runJob(job, task) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.updatedAt = job.startedAt;
+
+  const startTime = Date.now();
+
+  return Promise.resolve()
+    .then(() => task(progress => updateProgress(job, progress)))
+    .then(({ outputPath, result }) => {
+      job.status = 'completed';
+      job.outputPath = outputPath;
+      job.result = { ...result, processingTimeMs: Date.now() - startTime };
+      job.progress = { ...job.progress, stage: 'done' };
+    })
+    .catch(error => failJob(job, error))
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      job.updatedAt = job.finishedAt;
+    });
+}
+
+// Marks a job failed, or cancelled when its queue ticket was cancelled (the
+// error is then whatever the killed ffmpeg reported, or the queue's own
+// cancellation for jobs that never started). A job a shutdown interrupted
+// fails with reason "interrupted". A job that already finished keeps its
+// outcome.
+function failJob(job, error) {
+  if (job.status !== 'queued' && job.status !== 'running') return;
+  const interrupted = error.reason === 'interrupted' || Boolean(job.ticket && job.ticket.interrupted);
+  const cancelled = !interrupted && (error.reason === 'cancelled' || Boolean(job.ticket && job.ticket.cancelled));
+  const failure = interrupted ? interruptedError() : error;
+  job.status = cancelled ? 'cancelled' : 'failed';
+  job.error = cancelled ? 'Job was cancelled' : failure.message;
+  job.errorDetails = failure.details || null;
+  job.reason = cancelled ? 'cancelled' : failure.reason || null;
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+  // Nothing to download from a failed job, free its disk space now
+  if (job.workspace) job.workspace.remove();
+  if (cancelled) {
+    console.log(`🛑 [JOBS] Job ${job.id} cancelled`);
+  } else {
+    console.error(`💥 [JOBS] Job ${job.id} failed:`, failure.message);
+  }
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    queuePosition: job.ticket ? job.ticket.position() : null,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+    errorDetails: job.errorDetails,
+    reason: job.reason,
+    resultUrl: job.status === 'completed' ? `/api/jobs/${job.id}/result` : null,
+    webhook: job.webhook
+      ? { url: job.webhook.url, status: job.webhook.status, attempts: job.webhook.deliveries.length }
+      : null
+  };
+}
+
+function removeJob(job) {
+  if (job.workspace) {
+    job.workspace.remove();
+  } else if (job.outputPath) {
+    try { fs.unlinkSync(job.outputPath); } catch (e) {}
+  }
+  jobs.delete(job.id);
+}
+
+// Drop finished jobs (and their workspaces) once they pass the TTL
+function sweepExpiredJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const job of jobs.values()) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      console.log(`🧹 [JOBS] Expiring job ${job.id}`);
+      removeJob(job);
+    }
+  }
+}
+
+setInterval(sweepExpiredJobs, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  JOB_TTL_MS,
+  createJob,
+  getJob,
+  runJob,
+  failJob,
+  serializeJob,
+  removeJob,
+  sweepExpiredJobs
+};
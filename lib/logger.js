@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logs. Once installConsoleLogger() runs, every console.log / warn /
+// error in the service goes out as one JSON line:
+//
+//   {"time":"…","level":"info","component":"SEQUENCE","msg":"Split into 2 batches","requestId":"…","jobId":"…"}
+//
+// The `[TAG]` the messages start with becomes `component` and the emoji in
+// front of it is dropped. Ids come from the log context the line is written
+// in: each request runs inside one (requestId, from X-Request-Id when the
+// client sends one), a render inside the context it was queued from, and a job
+// adds its jobId, so every pipeline step of a render can be followed by id.
+//
+//   LOG_FORMAT   json (default) or pretty (the plain emoji lines)
+//   LOG_LEVEL    debug | info (default) | warn | error
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+// Leading emoji (with variation selectors and joiners) and an optional [TAG]
+const MESSAGE_PREFIX = /^(?:[\p{Extended_Pictographic}\uFE0F\u200D\u20E3]+\s*)?(?:\[([\w-]+)\]\s*)?/u;
+// Client-supplied request ids are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const logContext = new AsyncLocalStorage();
+// Set by installConsoleLogger({ stderr: true }) for tools whose stdout is data
+let allToStderr = false;
+
+function currentLogContext() {
+  return logContext.getStore() || {};
+}
+
+// Runs `fn` with `fields` added to the log context of everything it does
+function withLogContext(fields, fn) {
+  return logContext.run({ ...currentLogContext(), ...fields }, fn);
+}
+
+// Runs `fn` in exactly `context` (one taken earlier with currentLogContext())
+function runInLogContext(context, fn) {
+  return logContext.run(context, fn);
+}
+
+// "🎬 [SEQUENCE] Received …" → { component: 'SEQUENCE', msg: 'Received …' }
+function parseMessage(text) {
+  const match = MESSAGE_PREFIX.exec(text);
+  return { component: match[1] || undefined, msg: text.slice(match[0].length) };
+}
+
+// console arguments → the message text, with an Error's stack kept aside
+function formatArgs(args) {
+  let error;
+  const parts = args.map((arg) => {
+    if (!(arg instanceof Error)) return arg;
+    error = { message: arg.message, reason: arg.reason, status: arg.status, stack: arg.stack };
+    return arg.message;
+  });
+  return { text: util.format(...parts), error };
+}
+
+// Writes one line at `level`. `fields` are extra structured data (JSON only).
+function log(level, text, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const stream = allToStderr || LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'pretty') {
+    stream.write(`${text}\n`);
+    return;
+  }
+  const { component, msg } = parseMessage(text);
+  stream.write(`${JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...currentLogContext(),
+    ...fields
+  })}\n`);
+}
+
+// Routes console.* through log(), so the existing messages come out structured.
+// With `stderr` every level goes to stderr (the CLI prints its result on stdout).
+function installConsoleLogger({ stderr = false } = {}) {
+  allToStderr = stderr;
+  Object.entries(CONSOLE_LEVELS).forEach(([method, level]) => {
+    console[method] = (...args) => {
+      const { text, error } = formatArgs(args);
+      log(level, text, error ? { error } : {});
+    };
+  });
+}
+
+// Express middleware: gives the request an id (answered in X-Request-Id), runs
+// the rest of the request in its log context and logs the response. Health
+// checks and metrics scrapes log at debug level.
+function requestContext(req, res, next) {
+  const given = req.get('x-request-id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startTime = Date.now();
+  const requestPath = req.path;
+  res.on('finish', () => {
+    const durationMs = Date.now() - startTime;
+    const quiet = req.method === 'GET' && ['/healthz', '/readyz', '/metrics'].includes(requestPath);
+    log(quiet ? 'debug' : 'info', `🌐 [HTTP] ${req.method} ${requestPath} ${res.statusCode} ${durationMs}ms`, {
+      requestId: req.id,
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      durationMs
+    });
+  });
+
+  logContext.run({ requestId: req.id }, next);
+}
+
+function describeLogging() {
+  return `${LOG_FORMAT} at ${LOG_LEVEL} level (LOG_FORMAT, LOG_LEVEL)`;
+}
+
+module.exports = {
+  LOG_FORMAT,
+  log,
+  currentLogContext,
+  withLogContext,
+  runInLogContext,
+  installConsoleLogger,
+  requestContext,
+  describeLogging
+};
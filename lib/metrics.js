@@ -0,0 +1,202 @@
+const { queueStats } = require('./queue');
+const { cacheStats } = require('./cache');
+
+// Prometheus metrics, served in the text exposition format at GET /metrics.
+// Counters and histograms are updated as things happen; queue, cache and
+// process figures are read from their modules at scrape time. Every name
+// starts with video_sequencer_.
+//
+// Render failures are counted by the pipeline stage the render was in (the
+// `stage` of its last progress update: downloading, processing, compositing,
+// exporting, …), "queued" before it started and "storing" / "delivering"
+// after the pipeline finished.
+
+const PREFIX = 'video_sequencer_';
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+const REQUEST_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60, 300];
+
+const registry = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function register(metric) {
+  registry.push({ ...metric, name: PREFIX + metric.name });
+  return metric;
+}
+
+// Samples of a counter or gauge: labels → value
+function series() {
+  const values = new Map();
+  return {
+    add(labels, amount) {
+      const key = labelString(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    samples: () => [...values.values()]
+  };
+}
+
+function counter(name, help) {
+  const values = series();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => values.add(labels, amount),
+    samples: values.samples
+  });
+}
+
+// `collect()` returns a number or [{ labels, value }] at scrape time
+function collected(name, help, type, collect) {
+  return register({
+    name,
+    help,
+    type,
+    samples: () => {
+      const value = collect();
+      return Array.isArray(value) ? value : [{ labels: {}, value }];
+    }
+  });
+}
+
+function histogram(name, help, buckets) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelString(labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    // Bucket, sum and count lines, suffixed the way Prometheus expects
+    samples: () => [...values.values()].flatMap(entry => [
+      ...buckets.map((bound, i) => ({ suffix: '_bucket', labels: { ...entry.labels, le: bound }, value: entry.counts[i] })),
+      { suffix: '_bucket', labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+      { suffix: '_sum', labels: entry.labels, value: entry.sum },
+      { suffix: '_count', labels: entry.labels, value: entry.count }
+    ])
+  });
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status code');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request duration by method and route', REQUEST_BUCKETS);
+const renders = counter('renders_total', 'Finished renders by endpoint type and outcome (completed, failed, cancelled, interrupted)');
+const renderDuration = histogram('render_duration_seconds', 'Render run time (after leaving the queue) by endpoint type and outcome', DURATION_BUCKETS);
+const renderFailures = counter('render_failures_total', 'Failed renders by endpoint type and the stage they failed in');
+const outputBytes = counter('render_output_bytes_total', 'Bytes of finished outputs by endpoint type');
+const downloads = counter('downloads_total', 'Input fetches by source (http, data, upload, job) and outcome');
+const downloadBytes = counter('download_bytes_total', 'Bytes of inputs fetched, by source');
+const ffmpegExits = counter('ffmpeg_exits_total', 'Finished ffmpeg processes by exit code (or the signal that killed them)');
+
+collected('queue_depth', 'Renders waiting for a worker, by priority', 'gauge', () =>
+  Object.entries(queueStats().waitingByPriority).map(([priority, value]) => ({ labels: { priority }, value })));
+collected('renders_running', 'Renders holding a worker slot', 'gauge', () => queueStats().running);
+collected('render_workers', 'Worker slots (RENDER_CONCURRENCY)', 'gauge', () => queueStats().concurrency);
+collected('queue_limit', 'Renders that may wait before new ones are refused (RENDER_QUEUE_LIMIT)', 'gauge', () => queueStats().limit);
+collected('queue_oldest_wait_seconds', 'How long the oldest waiting render has waited', 'gauge', () => queueStats().oldestWaitMs / 1000);
+collected('draining', '1 while the server is shutting down and draining renders', 'gauge', () => (queueStats().draining ? 1 : 0));
+collected('queue_rejected_total', 'Renders refused because the queue was full', 'counter', () => queueStats().rejected);
+collected('segment_cache_bytes', 'Bytes held by the segment cache', 'gauge', () => cacheStats().bytes);
+collected('segment_cache_entries', 'Segments in the segment cache', 'gauge', () => cacheStats().entries);
+collected('segment_cache_requests_total', 'Segment cache lookups by result', 'counter', () => [
+  { labels: { result: 'hit' }, value: cacheStats().hits },
+  { labels: { result: 'miss' }, value: cacheStats().misses }
+]);
+collected('process_uptime_seconds', 'Seconds since the process started', 'gauge', () => process.uptime());
+collected('process_resident_memory_bytes', 'Resident set size of the process', 'gauge', () => process.memoryUsage().rss);
+
+// Route pattern of a handled request, so ids don't each get their own series
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return req.baseUrl + [].concat(req.route.path)[0];
+}
+
+// Express middleware counting requests and their duration
+function observeRequests(req, res, next) {
+  const startTime = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startTime) / 1e9);
+  });
+  next();
+}
+
+// Follows one render: `progress(onProgress)` wraps the pipeline's progress
+// callback to remember its stage and starts the clock, `stage(name)` marks the
+// steps after the pipeline, and `finish(status, { outputBytes })` records it.
+function trackRender(type) {
+  let stage = 'queued';
+  let startedAt = null;
+
+  return {
+    progress: (onProgress) => {
+      stage = 'starting';
+      startedAt = Date.now();
+      return (progress) => {
+        if (progress && progress.stage) stage = progress.stage;
+        onProgress(progress);
+      };
+    },
+    stage: (name) => {
+      stage = name;
+    },
+    finish: (status, { outputBytes: bytes = 0 } = {}) => {
+      renders.inc({ type, status });
+      if (status === 'failed') renderFailures.inc({ type, stage });
+      if (startedAt) renderDuration.observe({ type, status }, (Date.now() - startedAt) / 1000);
+      if (bytes) outputBytes.inc({ type }, bytes);
+    }
+  };
+}
+
+function recordDownload(source, { bytes = 0, failed = false } = {}) {
+  downloads.inc({ source, status: failed ? 'failed' : 'ok' });
+  if (bytes) downloadBytes.inc({ source }, bytes);
+}
+
+// Counts a fluent-ffmpeg command's exit code once it finishes
+function observeCommand(command) {
+  command
+    .on('end', () => ffmpegExits.inc({ code: '0' }))
+    .on('error', (error) => {
+      const exited = /exited with code (\d+)/.exec(error.message);
+      const killed = /killed with signal (\w+)/.exec(error.message);
+      ffmpegExits.inc({ code: exited ? exited[1] : killed ? killed[1] : 'spawn_error' });
+    });
+  return command;
+}
+
+function renderMetrics() {
+  return registry.map((metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    metric.samples().forEach((sample) => {
+      lines.push(`${metric.name}${sample.suffix || ''}${labelString(sample.labels)} ${sample.value}`);
+    });
+    return lines.join('\n');
+  }).join('\n') + '\n';
+}
+
+module.exports = {
+  observeRequests,
+  trackRender,
+  recordDownload,
+  observeCommand,
+  renderMetrics
+};
@@ -0,0 +1,176 @@
+const { badRequest } = require('./errors');
+
+// Output profiles: the resolution / frame rate / encoder settings a render is
+// produced with. Requests pass `output` either as a profile name
+// ("vertical-1080p") or as an object that starts from a profile and overrides
+// individual fields:
+//   { profile, resolution: '1080x1920' | width, height, aspectRatio: '9:16',
+//     fit: 'cover' | 'contain' | 'stretch', fps, crf | videoBitrate,
+//     preset, audioBitrate }
+// Without `output`, /api/sequence-videos keeps the original 640x1138 encode and
+// /api/add-audio and /api/add-subtitles keep the source resolution.
+
+const PROFILES = {
+  default: { width: 640, height: 1138, fps: 20, crf: 30, preset: 'ultrafast', audioBitrate: '64k' },
+  draft: { width: 360, height: 640, fps: 15, crf: 35, preset: 'ultrafast', audioBitrate: '48k' },
+  'vertical-720p': { width: 720, height: 1280, fps: 30, crf: 23, preset: 'veryfast', audioBitrate: '128k' },
+  'vertical-1080p': { width: 1080, height: 1920, fps: 30, crf: 21, preset: 'veryfast', audioBitrate: '128k' },
+  'square-720': { width: 720, height: 720, fps: 30, crf: 23, preset: 'veryfast', audioBitrate: '128k' },
+  'square-1080': { width: 1080, height: 1080, fps: 30, crf: 21, preset: 'veryfast', audioBitrate: '128k' },
+  'landscape-720p': { width: 1280, height: 720, fps: 30, crf: 23, preset: 'veryfast', audioBitrate: '128k' },
+  'landscape-1080p': { width: 1920, height: 1080, fps: 30, crf: 21, preset: 'veryfast', audioBitrate: '128k' }
+};
+
+const FIT_MODES = ['cover', 'contain', 'stretch'];
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const SAMPLE_RATE = 44100;
+const MIN_SIZE = 16;
+const MAX_SIZE = 4096;
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+function parseRatio(value) {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[2]) === 0) {
+    throw badRequest(`output.aspectRatio must look like "9:16" (got ${value})`);
+  }
+  return Number(match[1]) / Number(match[2]);
+}
+
+function parseBitrate(value, field) {
+  if (typeof value === 'number' && value > 0) return `${Math.round(value / 1000)}k`;
+  // ffmpeg reads a lowercase "m" suffix as milli, so normalise to k / M
+  if (typeof value === 'string' && /^\d+(\.\d+)?[kKmM]?$/.test(value)) return value.replace(/k$/i, 'k').replace(/m$/i, 'M');
+  throw badRequest(`output.${field} must be a bitrate such as "128k" or "4M"`);
+}
+
+function numberInRange(value, field, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`output.${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function resolveOutputProfile(output) {
+  const options = typeof output === 'string' ? { profile: output } : { ...(output || {}) };
+  const name = options.profile || 'default';
+  const base = PROFILES[name];
+  if (!base) {
+    throw badRequest(`Unknown output profile "${name}" (available: ${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  let { width, height } = base;
+
+  if (options.resolution) {
+    const match = String(options.resolution).match(/^(\d+)x(\d+)$/);
+    if (!match) throw badRequest('output.resolution must look like "1080x1920"');
+    width = numberInRange(match[1], 'resolution width', MIN_SIZE, MAX_SIZE);
+    height = numberInRange(match[2], 'resolution height', MIN_SIZE, MAX_SIZE);
+  }
+  if (options.width !== undefined) width = numberInRange(options.width, 'width', MIN_SIZE, MAX_SIZE);
+  if (options.height !== undefined) height = numberInRange(options.height, 'height', MIN_SIZE, MAX_SIZE);
+
+  if (options.aspectRatio) {
+    const ratio = parseRatio(options.aspectRatio);
+    if (options.width !== undefined && options.height === undefined) {
+      height = width / ratio;
+    } else if (options.height !== undefined && options.width === undefined) {
+      width = height * ratio;
+    } else if (options.width === undefined && options.height === undefined && !options.resolution) {
+      // Keep the profile's long edge and reshape around it
+      const longEdge = Math.max(width, height);
+      if (ratio >= 1) {
+        width = longEdge;
+        height = longEdge / ratio;
+      } else {
+        height = longEdge;
+        width = longEdge * ratio;
+      }
+    }
+    // An extreme ratio can stretch the other edge far out of range
+    if (width < MIN_SIZE || width > MAX_SIZE || height < MIN_SIZE || height > MAX_SIZE) {
+      throw badRequest(`output.aspectRatio ${options.aspectRatio} gives ${Math.round(width)}x${Math.round(height)}; both edges must be between ${MIN_SIZE} and ${MAX_SIZE}`);
+    }
+  }
+
+  const fit = options.fit || 'cover';
+  if (!FIT_MODES.includes(fit)) {
+    throw badRequest(`output.fit must be one of: ${FIT_MODES.join(', ')}`);
+  }
+
+  const preset = options.preset || base.preset;
+  if (!X264_PRESETS.includes(preset)) {
+    throw badRequest(`output.preset must be one of: ${X264_PRESETS.join(', ')}`);
+  }
+
+  return {
+    profile: name,
+    width: even(width),
+    height: even(height),
+    fit,
+    fps: options.fps !== undefined ? numberInRange(options.fps, 'fps', 1, 60) : base.fps,
+    crf: options.crf !== undefined ? numberInRange(options.crf, 'crf', 0, 51) : base.crf,
+    videoBitrate: options.videoBitrate !== undefined ? parseBitrate(options.videoBitrate, 'videoBitrate') : null,
+    preset,
+    audioBitrate: options.audioBitrate !== undefined ? parseBitrate(options.audioBitrate, 'audioBitrate') : base.audioBitrate,
+    sampleRate: SAMPLE_RATE
+  };
+}
+
+// Scale/crop/pad chain that brings any input to the profile's frame
+function buildScaleFilter({ width, height, fit }) {
+  if (fit === 'contain') {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`;
+  }
+  if (fit === 'stretch') {
+    return `scale=${width}:${height},setsar=1`;
+  }
+  return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+}
+
+function videoEncodeOptions(profile) {
+  const rateControl = profile.videoBitrate
+    ? ['-b:v', profile.videoBitrate, '-maxrate', profile.videoBitrate, '-bufsize', profile.videoBitrate.replace(/^(\d+(?:\.\d+)?)/, n => String(Number(n) * 2))]
+    : ['-crf', String(profile.crf)];
+
+  return [
+    '-c:v', 'libx264',
+    '-preset', profile.preset,
+    ...rateControl,
+    '-r', String(profile.fps),
+    '-pix_fmt', 'yuv420p'
+  ];
+}
+
+function audioEncodeOptions(profile) {
+  return [
+    '-c:a', 'aac',
+    '-b:a', profile.audioBitrate,
+    '-ar', String(profile.sampleRate),
+    '-ac', '2'
+  ];
+}
+
+function describeProfile(profile) {
+  return {
+    profile: profile.profile,
+    resolution: `${profile.width}x${profile.height}`,
+    fit: profile.fit,
+    fps: profile.fps,
+    crf: profile.videoBitrate ? null : profile.crf,
+    videoBitrate: profile.videoBitrate,
+    preset: profile.preset,
+    audioBitrate: profile.audioBitrate
+  };
+}
+
+module.exports = {
+  PROFILES,
+  parseBitrate,
+  resolveOutputProfile,
+  buildScaleFilter,
+  videoEncodeOptions,
+  audioEncodeOptions,
+  describeProfile
+};
@@ -0,0 +1,291 @@
+const path = require('path');
+const { badRequest } = require('./errors');
+
+// Image and text overlay tracks composited over the rendered video between
+// `timestamp` and `timestamp + duration` (or the end of the render when no
+// duration is given). Tracks stack in request order: later tracks draw on top.
+//
+//   { type: 'image', keyframes: [{ url, timestamp, duration?, position?, x?, y?,
+//       margin?, width? | scale?, opacity?, fadeIn?, fadeOut? }] }
+//   { type: 'text', keyframes: [{ text, timestamp, duration?, position?, x?, y?,
+//       margin?, font?, fontSize?, color?, opacity?, box?, fadeIn?, fadeOut? }] }
+//
+// x / y are pixel offsets of the top-left corner and win over `position`.
+// Image `width` is in pixels, `scale` a fraction of the frame width (0.15 =
+// 15%); either keeps the image's aspect ratio. Text `box` is true or
+// { color, opacity, padding } for a background plate behind the text.
+
+const POSITIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right',
+  'lower-third'
+];
+
+const DEFAULT_FONT = 'DejaVu Sans';
+
+function optionalNumber(value, field, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(max === Infinity
+      ? `${field} must be a number >= ${min}`
+      : `${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// ffmpeg colour: a name ("white") or hex ("#ffcc00", "0xffcc00")
+function parseColor(value, field, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const color = String(value).trim();
+  if (/^[a-z]+$/i.test(color)) return color.toLowerCase();
+  const hex = color.match(/^(?:#|0x)?([0-9a-f]{6})$/i);
+  if (hex) return `#${hex[1].toLowerCase()}`;
+  throw badRequest(`${field} must be a colour name or hex such as "#ffcc00"`);
+}
+
+function parsePosition(value, field) {
+  if (value === undefined || value === null) return 'top-left';
+  if (!POSITIONS.includes(value)) {
+    throw badRequest(`${field} must be one of: ${POSITIONS.join(', ')}`);
+  }
+  return value;
+}
+
+// Fields shared by image and text keyframes: timing, placement and fades
+function placement(keyframe, field) {
+  return {
+    timestamp: optionalNumber(keyframe.timestamp, `${field}.timestamp`) || 0,
+    duration: optionalNumber(keyframe.duration, `${field}.duration`),
+    position: parsePosition(keyframe.position, `${field}.position`),
+    x: optionalNumber(keyframe.x, `${field}.x`, { min: -Infinity }),
+    y: optionalNumber(keyframe.y, `${field}.y`, { min: -Infinity }),
+    margin: optionalNumber(keyframe.margin, `${field}.margin`) || 0,
+    opacity: optionalNumber(keyframe.opacity, `${field}.opacity`, { max: 1 }),
+    fadeIn: optionalNumber(keyframe.fadeIn, `${field}.fadeIn`) || 0,
+    fadeOut: optionalNumber(keyframe.fadeOut, `${field}.fadeOut`) || 0
+  };
+}
+
+function imageOverlay(keyframe, field) {
+  if (!keyframe.url) {
+    throw badRequest(`${field}.url is required`);
+  }
+  return {
+    kind: 'image',
+    url: keyframe.url,
+    ...placement(keyframe, field),
+    width: optionalNumber(keyframe.width, `${field}.width`, { min: 1 }),
+    scale: optionalNumber(keyframe.scale, `${field}.scale`, { min: 0.01, max: 1 })
+  };
+}
+
+function textOverlay(keyframe, field) {
+  if (typeof keyframe.text !== 'string' || keyframe.text.trim() === '') {
+    throw badRequest(`${field}.text is required`);
+  }
+
+  // Font names end up inside the filter graph, keep them to plain characters
+  const font = keyframe.font === undefined ? DEFAULT_FONT : String(keyframe.font);
+  if (!/^[\w .-]+$/.test(font)) {
+    throw badRequest(`${field}.font must be a font family name such as "${DEFAULT_FONT}"`);
+  }
+
+  let box = null;
+  if (keyframe.box) {
+    const options = typeof keyframe.box === 'object' ? keyframe.box : {};
+    box = {
+      color: parseColor(options.color, `${field}.box.color`, 'black'),
+      opacity: optionalNumber(options.opacity, `${field}.box.opacity`, { max: 1 }),
+      padding: optionalNumber(options.padding, `${field}.box.padding`)
+    };
+  }
+
+  return {
+    kind: 'text',
+    text: keyframe.text,
+    ...placement(keyframe, field),
+    font,
+    fontSize: optionalNumber(keyframe.fontSize, `${field}.fontSize`, { min: 4 }),
+    color: parseColor(keyframe.color, `${field}.color`, 'white'),
+    box
+  };
+}
+
+function collectOverlays(tracks = []) {
+  const overlays = [];
+
+  tracks.forEach((track, trackIndex) => {
+    if (!track || (track.type !== 'image' && track.type !== 'text') || !Array.isArray(track.keyframes)) return;
+
+    track.keyframes.forEach((keyframe, keyframeIndex) => {
+      const field = `tracks[${trackIndex}].keyframes[${keyframeIndex}]`;
+      if (!keyframe) {
+        throw badRequest(`${field} must be an object`);
+      }
+      overlays.push(track.type === 'image' ? imageOverlay(keyframe, field) : textOverlay(keyframe, field));
+    });
+  });
+
+  return overlays;
+}
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp'];
+
+function urlExtension(url) {
+  // data:image/png;base64,... → .png
+  const dataUri = /^data:image\/([a-z0-9.+-]+)[;,]/i.exec(url);
+  if (dataUri) return `.${dataUri[1].toLowerCase().replace(/^jpeg$/, 'jpg').replace(/\+xml$/, '')}`;
+  try {
+    return path.extname(new URL(url).pathname).toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+function isImageUrl(url) {
+  return IMAGE_EXTENSIONS.includes(urlExtension(url));
+}
+
+// ffmpeg's image2 demuxer (needed for -loop) picks the decoder from the file
+// extension, so downloaded images keep theirs
+function imageExtension(url) {
+  const extension = urlExtension(url);
+  return IMAGE_EXTENSIONS.includes(extension) ? extension : '.png';
+}
+
+// x / y expressions anchoring an item of size (w, h) inside a frame of size
+// (W, H). Variable names differ per filter (overlay: W/H/w/h, drawtext:
+// w/h/text_w/text_h), so they are passed in.
+function anchor(overlay, { W, H, w, h }) {
+  if (overlay.x !== undefined || overlay.y !== undefined) {
+    return { x: String(overlay.x || 0), y: String(overlay.y || 0) };
+  }
+
+  const m = overlay.margin;
+  const left = String(m);
+  const centerX = `(${W}-${w})/2`;
+  const right = `${W}-${w}-${m}`;
+  const top = String(m);
+  const centerY = `(${H}-${h})/2`;
+  const bottom = `${H}-${h}-${m}`;
+
+  switch (overlay.position) {
+    case 'top': return { x: centerX, y: top };
+    case 'top-right': return { x: right, y: top };
+    case 'left': return { x: left, y: centerY };
+    case 'center': return { x: centerX, y: centerY };
+    case 'right': return { x: right, y: centerY };
+    case 'bottom-left': return { x: left, y: bottom };
+    case 'bottom': return { x: centerX, y: bottom };
+    case 'bottom-right': return { x: right, y: bottom };
+    // Left-aligned, sitting on the line 85% of the way down the frame
+    case 'lower-third': return { x: left, y: `${H}*0.85-${h}` };
+    default: return { x: left, y: top };
+  }
+}
+
+// Time window of an overlay clamped to the render, or null if it never shows
+function overlayWindow(overlay, duration) {
+  const start = overlay.timestamp;
+  const end = overlay.duration !== undefined ? Math.min(start + overlay.duration, duration) : duration;
+  if (end <= start) return null;
+  const length = end - start;
+  return {
+    start,
+    end,
+    fadeIn: Math.min(overlay.fadeIn, length),
+    fadeOut: Math.min(overlay.fadeOut, length)
+  };
+}
+
+function imageFilters(overlay, window, { input, current, next, dimensions }) {
+  const chain = [];
+  const width = overlay.width || (overlay.scale ? dimensions.width * overlay.scale : null);
+  if (width) chain.push(`scale=${Math.max(2, Math.round(width / 2) * 2)}:-2`);
+  chain.push('format=rgba');
+  if (overlay.opacity !== undefined && overlay.opacity < 1) {
+    chain.push(`colorchannelmixer=aa=${overlay.opacity}`);
+  }
+  if (window.fadeIn > 0) {
+    chain.push(`fade=t=in:st=${window.start}:d=${window.fadeIn}:alpha=1`);
+  }
+  if (window.fadeOut > 0) {
+    chain.push(`fade=t=out:st=${(window.end - window.fadeOut).toFixed(3)}:d=${window.fadeOut}:alpha=1`);
+  }
+
+  const image = `${next}img`;
+  const { x, y } = anchor(overlay, { W: 'W', H: 'H', w: 'w', h: 'h' });
+  return [
+    `[${input}:v]${chain.join(',')}[${image}]`,
+    `[${current}][${image}]overlay=x=${x}:y=${y}:enable='between(t,${window.start},${window.end})'[${next}]`
+  ];
+}
+
+// Text is read from `textFile` (expansion off) so it never has to survive
+// filter graph escaping
+function textFilter(overlay, window, { textFile, current, next, dimensions }) {
+  const fontSize = overlay.fontSize || Math.round(dimensions.height * 0.05);
+  const { x, y } = anchor(overlay, { W: 'w', H: 'h', w: 'text_w', h: 'text_h' });
+  const options = [
+    `textfile=${textFile}`,
+    'expansion=none',
+    `font=${overlay.font}`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${overlay.color}`,
+    `x=${x}`,
+    `y=${y}`
+  ];
+
+  if (overlay.box) {
+    const padding = overlay.box.padding !== undefined ? overlay.box.padding : Math.round(fontSize * 0.4);
+    const boxOpacity = overlay.box.opacity !== undefined ? overlay.box.opacity : 0.6;
+    options.push('box=1', `boxcolor=${overlay.box.color}@${boxOpacity}`, `boxborderw=${Math.round(padding)}`);
+  }
+
+  // drawtext's alpha covers the text and its box; fades ramp it in and out
+  let alpha = overlay.opacity !== undefined ? String(overlay.opacity) : '1';
+  if (window.fadeIn > 0 || window.fadeOut > 0) {
+    const fadeIn = window.fadeIn > 0 ? `if(lt(t,${window.start + window.fadeIn}),(t-${window.start})/${window.fadeIn},1)` : '1';
+    const fadeOutStart = (window.end - window.fadeOut).toFixed(3);
+    const fadeOut = window.fadeOut > 0 ? `if(gt(t,${fadeOutStart}),(${window.end}-t)/${window.fadeOut},1)` : '1';
+    alpha = `${alpha}*${fadeIn}*${fadeOut}`;
+  }
+  if (alpha !== '1') options.push(`alpha='${alpha}'`);
+
+  options.push(`enable='between(t,${window.start},${window.end})'`);
+  return [`[${current}]drawtext=${options.join(':')}[${next}]`];
+}
+
+// Overlay filters on top of the video labelled `videoLabel`, laid out on a
+// frame of `dimensions`. Image overlays are ffmpeg inputs `firstInput`,
+// `firstInput + 1`, ... in overlay order; `files[i]` is the downloaded image
+// or the text file for overlay i. Returns the filters and the output label.
+function buildOverlayFilters({ overlays, files, firstInput, videoLabel, duration, dimensions }) {
+  const filters = [];
+  let current = videoLabel;
+  let input = firstInput;
+
+  overlays.forEach((overlay, i) => {
+    const imageInput = overlay.kind === 'image' ? input++ : null;
+    const window = overlayWindow(overlay, duration);
+    if (!window) return;
+
+    const next = `ov${i}`;
+    filters.push(...(overlay.kind === 'image'
+      ? imageFilters(overlay, window, { input: imageInput, current, next, dimensions })
+      : textFilter(overlay, window, { textFile: files[i], current, next, dimensions })));
+    current = next;
+  });
+
+  return { filters, output: current };
+}
+
+module.exports = {
+  POSITIONS,
+  collectOverlays,
+  isImageUrl,
+  imageExtension,
+  buildOverlayFilters
+};
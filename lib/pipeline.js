@@ -0,0 +1,1046 @@
+const fluentFfmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./errors');
+const { buildTimeline, splitBatches, timelineDuration } = require('./timeline');
+const { probeMedia, summarizeMedia, inspectMedia, mediaError, audioExtension } = require('./probe');
+const { buildJoinGraph } = require('./transitions');
+const { buildAudioMix } = require('./audio');
+const { buildOverlayFilters, imageExtension } = require('./overlays');
+const { buildStillFilter } = require('./stills');
+const { previewFileType, contactSheetTimes, tileLayout, tileFilter, tileHeight, gifFilter } = require('./previews');
+const { downloadMedia, sourceVersion, describeInput } = require('./ingest');
+const { CACHE_ENABLED, segmentKey, hashFile, fetchSegment, storeSegment } = require('./cache');
+const { listFiles } = require('./workspace');
+const { SEGMENT_CONCURRENCY, trackCommand, mapConcurrent } = require('./queue');
+const { checkRenderLimits } = require('./auth');
+const { HLS_MASTER_PLAYLIST, exportOptions, hlsRenditions, hlsRenditionOptions, buildMasterPlaylist } = require('./formats');
+const { writeTar } = require('./tar');
+const { observeCommand } = require('./metrics');
+const { buildScaleFilter, videoEncodeOptions, audioEncodeOptions, describeProfile } = require('./output');
+const { buildAss, buildSrt, buildVtt, buildForceStyle, buildSubtitleFilter } = require('./subtitles');
+const { runWhisper, wordsFromWhisper, groupCues } = require('./transcribe');
+
+// The ffmpeg side of a render: sequencing clips into a base video, the
+// composite pass (audio, overlays, captions), exports and previews. Nothing in
+// here knows about HTTP; lib/engine.js turns request bodies into the specs
+// these functions take.
+
+// Every ffmpeg command belongs to the render it was created in, so cancelling
+// the render (DELETE /api/jobs/:id, a client hanging up) kills it. Exit codes
+// are counted in the metrics.
+const ffmpeg = (...args) => observeCommand(trackCommand(fluentFfmpeg(...args)));
+
+// Clips and gap fillers are encoded with identical profile settings so the
+// concat demuxer can join them with -c copy
+function segmentEncodeOptions(profile) {
+  return [...videoEncodeOptions(profile), ...audioEncodeOptions(profile)];
+}
+
+// Black frames + silence for gaps between clips on the timeline
+function renderGapSegment(duration, outputPath, profile) {
+  const { width, height, fps, sampleRate } = profile;
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(`color=c=black:s=${width}x${height}:r=${fps}`)
+      .inputFormat('lavfi')
+      .input(`anullsrc=channel_layout=stereo:sample_rate=${sampleRate}`)
+      .inputFormat('lavfi')
+      .outputOptions(['-t', String(duration), ...segmentEncodeOptions(profile)])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Joins normalized segments ([{ path, duration, transition }]) in order.
+// Hard cuts only: concat demuxer with -c copy. Any transition: one re-encode
+// through an xfade/acrossfade graph.
+async function joinSegments(segments, outputPath, concatPath, profile) {
+  const joins = segments.slice(0, -1).map(segment => segment.transition);
+
+  if (joins.every(join => !join)) {
+    fs.writeFileSync(concatPath, segments.map(segment => `file '${segment.path}'`).join('\n'));
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(concatPath)
+          .inputOptions(['-f', 'concat', '-safe', '0'])
+          .outputOptions(['-c', 'copy', '-movflags', '+faststart'])
+          .output(outputPath)
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+    } finally {
+      try { fs.unlinkSync(concatPath); } catch (e) {}
+    }
+    return;
+  }
+
+  const graph = buildJoinGraph(segments, joins, profile);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    segments.forEach(segment => command.input(segment.path));
+    command
+      .complexFilter(graph.filter)
+      .outputOptions([
+        '-map', `[${graph.video}]`,
+        '-map', `[${graph.audio}]`,
+        ...segmentEncodeOptions(profile),
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Downloads, checks and normalizes one clip or still into `processedPath`,
+// filling in its segment `report`. Normalized segments are kept in the
+// segment cache (lib/cache.js): when the source announces an ETag or
+// Last-Modified a hit skips the download as well, otherwise the downloaded
+// bytes are hashed and a hit skips the encode.
+async function normalizeSegment(segment, { originalPath, processedPath, report, profile, downloadOptions, prefetched, label }) {
+  const segmentLength = segment.duration + segment.hold;
+  const videoFilter = segment.still
+    ? buildStillFilter(segment.kenBurns, profile, segmentLength)
+    : `${buildScaleFilter(profile)},tpad=stop_mode=clone:stop_duration=${segmentLength}`;
+  const encoding = {
+    still: segment.still,
+    sourceStart: segment.sourceStart,
+    duration: segment.duration,
+    length: segmentLength,
+    videoFilter,
+    profile
+  };
+
+  const useCached = (source) => {
+    if (!CACHE_ENABLED) return false;
+    const cached = fetchSegment(segmentKey({ source, ...encoding }), processedPath);
+    if (!cached) return false;
+    report.cached = true;
+    report.sourceDuration = cached.sourceDuration;
+    report.hasAudio = cached.hasAudio;
+    console.log(`♻️ [SEQUENCE] ${label} - Reused cached segment`);
+    return true;
+  };
+
+  // Clips fetched up front to learn their length are already on disk
+  const fetched = prefetched[segment.keyframeIndex];
+  if (fetched && fetched.error) throw fetched.error;
+
+  let source = CACHE_ENABLED && !fetched ? await sourceVersion(segment.url, downloadOptions) : null;
+  if (source && useCached(source)) return;
+
+  console.log(`📥 [SEQUENCE] ${label} - Downloading: ${describeInput(segment.url)}`);
+  const download = fetched || await downloadMedia(segment.url, originalPath, downloadOptions);
+  if (fetched) fs.renameSync(fetched.path, originalPath);
+  report.bytes = download.bytes;
+  report.attempts = download.attempts;
+  console.log(`✅ [SEQUENCE] ${label} - Downloaded (${(download.bytes / 1024).toFixed(2)} KB)`);
+
+  if (CACHE_ENABLED && !source) {
+    source = `sha256:${await hashFile(originalPath)}`;
+    if (useCached(source)) return;
+  }
+
+  const media = fetched ? fetched.media : await inspectMedia(originalPath, segment.still ? 'image' : 'video');
+  report.sourceDuration = media.duration;
+  report.hasAudio = media.hasAudio;
+  if (!segment.still && media.duration !== null && segment.sourceStart >= media.duration) {
+    throw mediaError(422, 'start_past_end', `sourceStart ${segment.sourceStart}s is past the end of the clip (${media.duration}s)`);
+  }
+
+  // Trim to [sourceStart, sourceStart + duration], then freeze the last
+  // frame (and pad silence) so the segment is exactly its timeline length
+  // even when the source runs short or a freeze-frame gap follows it.
+  // Stills, and clips without an audio stream, get generated silence so
+  // every segment has the same streams for the join.
+  const command = segment.still
+    ? ffmpeg(originalPath)
+      .inputOptions(['-loop', '1', '-framerate', String(profile.fps), '-t', String(segmentLength)])
+    : ffmpeg(originalPath)
+      .inputOptions(['-ss', String(segment.sourceStart), '-t', String(segment.duration)]);
+  if (segment.still || !media.hasAudio) {
+    command
+      .input(`anullsrc=channel_layout=stereo:sample_rate=${profile.sampleRate}`)
+      .inputFormat('lavfi');
+  }
+  const streamOptions = segment.still || !media.hasAudio
+    ? ['-map', '0:v:0', '-map', '1:a:0', '-vf', videoFilter]
+    : ['-map', '0:v:0', '-map', '0:a:0', '-vf', videoFilter, '-af', 'apad'];
+
+  // Process video with timeout
+  await new Promise((resolve, reject) => {
+    // Kill ffmpeg too, or it keeps running after the render gave up
+    const timeout = setTimeout(() => {
+      command.kill('SIGKILL');
+      reject(new Error('Processing timeout'));
+    }, Math.max(20000, segmentLength * 4000));
+
+    command
+      .outputOptions([
+        '-t', String(segmentLength),
+        ...streamOptions,
+        ...segmentEncodeOptions(profile)
+      ])
+      .output(processedPath)
+      .on('end', () => {
+        clearTimeout(timeout);
+        console.log(`✅ [SEQUENCE] ${label} - Processed`);
+        resolve();
+      })
+      .on('error', (err) => {
+        clearTimeout(timeout);
+        reject(err);
+      })
+      .run();
+  });
+
+  if (CACHE_ENABLED) {
+    storeSegment(segmentKey({ source, ...encoding }), processedPath, { sourceDuration: media.duration, hasAudio: media.hasAudio });
+  }
+}
+
+// SEQUENCE STAGE: NORMALIZE + JOIN VIDEO CLIPS (FIXED BATCH PROCESSING)
+async function sequenceClips({ timeline, batchSize, profile, download: downloadOptions, failurePolicy = 'skip', prefetched = {}, workspace }, onProgress) {
+  const tempDir = workspace.dir;
+
+  const batches = splitBatches(timeline, batchSize);
+
+  console.log(`📦 [SEQUENCE] Split into ${batches.length} batches`);
+
+  const batchOutputs = [];
+  const segments = [];
+  // Every segment file that makes it into the output, in order
+  const joined = [];
+
+  // Process each batch
+  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+    const batch = batches[batchIndex];
+    console.log(`🔄 [SEQUENCE] Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} segments)`);
+
+    // Segments are prepared SEGMENT_CONCURRENCY at a time, started in
+    // timeline order; their files keep that order for the join
+    const prepared = [];
+
+    try {
+      await mapConcurrent(batch, SEGMENT_CONCURRENCY, async (segment, i) => {
+        onProgress({
+          stage: 'processing',
+          batch: batchIndex + 1,
+          totalBatches: batches.length,
+          segment: batchIndex * batchSize + i + 1,
+          totalSegments: timeline.length,
+          segmentUrl: segment.url
+        });
+
+        if (segment.type === 'gap') {
+          const gapPath = path.join(tempDir, `batch${batchIndex}_gap${i}.mp4`);
+          try {
+            await renderGapSegment(segment.duration, gapPath, profile);
+            prepared[i] = { path: gapPath, duration: segment.duration, transition: segment.transition };
+            console.log(`⬛ [SEQUENCE] Batch ${batchIndex + 1} - Rendered ${segment.duration}s gap at ${segment.timelineStart}s`);
+          } catch (error) {
+            console.error(`❌ [SEQUENCE] Batch ${batchIndex + 1} - Failed gap ${i + 1}:`, error.message);
+          }
+          return;
+        }
+
+        // Stills keep their extension for the image2 demuxer
+        const originalPath = path.join(tempDir, `batch${batchIndex}_original${i}${segment.still ? imageExtension(segment.url) : '.mp4'}`);
+        const processedPath = path.join(tempDir, `batch${batchIndex}_processed${i}.mp4`);
+        const segmentLength = segment.duration + segment.hold;
+        const label = `Batch ${batchIndex + 1} - ${segment.still ? 'still' : 'video'} ${i + 1}`;
+
+        const report = {
+          segment: batchIndex * batchSize + i + 1,
+          keyframeIndex: segment.keyframeIndex,
+          url: describeInput(segment.url),
+          timelineStart: segment.timelineStart,
+          duration: segmentLength,
+          status: 'included',
+          included: true,
+          cached: false,
+          bytes: null,
+          attempts: 0,
+          error: null
+        };
+        segments.push(report);
+
+        try {
+          await normalizeSegment(segment, { originalPath, processedPath, report, profile, downloadOptions, prefetched, label });
+          prepared[i] = { path: processedPath, duration: segmentLength, transition: segment.transition, report };
+        } catch (error) {
+          console.error(`❌ [SEQUENCE] Batch ${batchIndex + 1} - Failed video ${i + 1}:`, error.message);
+          report.included = false;
+          report.error = error.message;
+          report.reason = error.reason || 'processing_failed';
+          if (error.attempts) report.attempts = error.attempts;
+          try { fs.unlinkSync(processedPath); } catch (e) {}
+
+          if (failurePolicy === 'fail') {
+            report.status = 'failed';
+            throw httpError(error.status || 422, `Segment ${report.segment} failed (${describeInput(segment.url)}): ${error.message}`, { segments });
+          }
+
+          if (failurePolicy === 'placeholder') {
+            // Hold the clip's slot on the timeline so everything after it stays in sync
+            await renderGapSegment(segmentLength, processedPath, profile);
+            prepared[i] = { path: processedPath, duration: segmentLength, transition: segment.transition, report };
+            report.status = 'placeholder';
+            console.log(`⬛ [SEQUENCE] Batch ${batchIndex + 1} - Placeholder for video ${i + 1} (${segmentLength}s)`);
+          } else {
+            report.status = 'skipped';
+          }
+        } finally {
+          // Cleanup original immediately
+          try { fs.unlinkSync(originalPath); } catch (e) {}
+        }
+      });
+    } catch (error) {
+      [...prepared.filter(Boolean), ...batchOutputs].forEach(file => {
+        try { fs.unlinkSync(file.path); } catch (e) {}
+      });
+      throw error;
+    }
+
+    const processedFiles = prepared.filter(Boolean);
+    joined.push(...processedFiles);
+
+    if (processedFiles.length === 0) {
+      console.log(`⚠️ [SEQUENCE] Batch ${batchIndex + 1} - No videos processed successfully`);
+      continue;
+    }
+
+    // Concatenate current batch
+    console.log(`🔗 [SEQUENCE] Batch ${batchIndex + 1} - Concatenating ${processedFiles.length} videos`);
+    onProgress({ stage: 'concatenating', batch: batchIndex + 1, totalBatches: batches.length });
+
+    const concatPath = path.join(tempDir, `batch${batchIndex}_concat.txt`);
+    const batchOutputPath = path.join(tempDir, `batch${batchIndex}_output.mp4`);
+
+    try {
+      await joinSegments(processedFiles, batchOutputPath, concatPath, profile);
+    } finally {
+      // Cleanup batch files
+      processedFiles.forEach(file => {
+        try { fs.unlinkSync(file.path); } catch (e) {}
+      });
+    }
+
+    // The last segment's transition carries over into the next batch's first
+    const batchMetadata = await probeMedia(batchOutputPath);
+    batchOutputs.push({
+      path: batchOutputPath,
+      duration: parseFloat(batchMetadata.format.duration) || 0,
+      transition: processedFiles[processedFiles.length - 1].transition
+    });
+    console.log(`✅ [SEQUENCE] Batch ${batchIndex + 1} completed - ${processedFiles.length} videos`);
+  }
+
+  if (batchOutputs.length === 0) {
+    throw httpError(400, 'No videos processed successfully in any batch', { segments });
+  }
+
+  let finalOutputPath;
+
+  if (batchOutputs.length === 1) {
+    // Only one batch, use it directly
+    finalOutputPath = batchOutputs[0].path;
+    console.log(`🎬 [SEQUENCE] Single batch result used directly`);
+  } else {
+    // Merge all batches - FIXED VERSION
+    console.log(`🔗 [SEQUENCE] Merging ${batchOutputs.length} batches into final video`);
+    onProgress({ stage: 'merging', batch: batches.length, totalBatches: batches.length });
+
+    // Transitions that straddle a batch boundary are applied here
+    const finalConcatPath = path.join(tempDir, 'final_concat.txt');
+    finalOutputPath = path.join(tempDir, 'final_sequenced.mp4');
+
+    try {
+      await joinSegments(batchOutputs, finalOutputPath, finalConcatPath, profile);
+    } finally {
+      // Cleanup batch outputs, the merged file is handed back to the caller
+      batchOutputs.forEach(file => {
+        try { fs.unlinkSync(file.path); } catch (e) {}
+      });
+    }
+  }
+
+  // Where each segment ended up in the output: skipped segments close up the
+  // timeline and every transition overlaps its two segments
+  let offset = 0;
+  joined.forEach((file) => {
+    if (file.report) file.report.outputStart = Math.round(offset * 1000) / 1000;
+    offset += file.duration - (file.transition ? file.transition.duration : 0);
+  });
+
+  const plannedDuration = timelineDuration(timeline);
+  const clipCount = timeline.filter(item => item.type === 'clip').length;
+  const includedCount = segments.filter(segment => segment.included).length;
+
+  console.log(`🎉 [SEQUENCE] SUCCESS! Sequenced ${includedCount}/${clipCount} videos (planned ${plannedDuration.toFixed(2)}s)`);
+  console.log(`📊 [SEQUENCE] ${batches.length} batches processed, ${batchOutputs.length} successful batches`);
+
+  return {
+    outputPath: finalOutputPath,
+    clipCount,
+    includedCount,
+    segments,
+    batchesProcessed: batchOutputs.length,
+    totalBatches: batches.length,
+    plannedDuration,
+    transitions: timeline.filter(item => item.transition).length
+  };
+}
+
+// Clips with no duration play to the end of their source, so their length is
+// only known once they are downloaded. Those are fetched and probed before the
+// timeline is laid out; sequenceClips then uses the files instead of
+// downloading again. A failed fetch is kept and surfaces when the segment is
+// reached, under the request's failure policy.
+async function prefetchSources(timeline, { download, workspace, tag }) {
+  const prefetched = {};
+  const sourceDurations = {};
+
+  for (const clip of timeline.filter(item => item.type === 'clip' && item.autoDuration)) {
+    const filePath = workspace.file(`source_${clip.keyframeIndex}.mp4`);
+    console.log(`📥 [${tag}] Fetching clip ${clip.keyframeIndex + 1} to measure it: ${describeInput(clip.url)}`);
+    try {
+      const { bytes, attempts } = await downloadMedia(clip.url, filePath, download);
+      const media = await inspectMedia(filePath, 'video');
+      prefetched[clip.keyframeIndex] = { path: filePath, bytes, attempts, media };
+      if (media.duration) sourceDurations[clip.keyframeIndex] = media.duration;
+    } catch (error) {
+      try { fs.unlinkSync(filePath); } catch (e) {}
+      prefetched[clip.keyframeIndex] = { error };
+    }
+  }
+
+  return { prefetched, sourceDurations };
+}
+
+// Download a required input (source video, audio clip, overlay image) to
+// `destPath`, returning the byte count. Unlike timeline segments these have no
+// failure policy: any failure fails the render.
+async function downloadFile(url, destPath, options) {
+  try {
+    const { bytes } = await downloadMedia(url, destPath, options);
+    return bytes;
+  } catch (error) {
+    error.message = `Download failed (${error.message}): ${describeInput(url)}`;
+    throw error;
+  }
+}
+
+async function inspectInput(filePath, expect, url) {
+  try {
+    return await inspectMedia(filePath, expect);
+  } catch (error) {
+    error.message = `${error.message}: ${describeInput(url)}`;
+    throw error;
+  }
+}
+
+// 16 kHz mono PCM, what whisper.cpp expects: `duration` seconds from `start`
+function extractSpeech(inputPath, wavPath, { start = 0, duration = null }) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions(['-ss', String(start)])
+      .outputOptions([
+        ...(duration !== null ? ['-t', String(duration)] : []),
+        '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le'
+      ])
+      .output(wavPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Transcribes the speech a `transcript` caption listens to (its
+// transcribe.source) and lays the words out on the output timeline:
+// { cues, words, language }. Audio clips are transcribed one by one from
+// their sourceStart and shifted to their timestamp.
+async function transcribeCaption(caption, { videoPath, hasOriginalAudio, audioClips, audioPaths, sourceDurations, duration, tempDir, tag }, onProgress) {
+  const options = caption.transcribe;
+  let sources;
+
+  if (options.source === 'video') {
+    if (!hasOriginalAudio) {
+      const error = httpError(422, 'transcribe.source "video" needs a soundtrack, but the video has no audio');
+      error.reason = 'no_audio';
+      throw error;
+    }
+    sources = [{ path: videoPath, start: 0, from: 0, to: duration }];
+  } else {
+    const voiced = audioClips.some(clip => clip.role === 'voice');
+    sources = audioClips
+      .map((clip, i) => {
+        const available = Math.max(sourceDurations[i] - clip.sourceStart, 0);
+        const length = Math.min(clip.duration !== undefined ? clip.duration : available, available, duration - clip.timestamp);
+        return { path: audioPaths[i], start: clip.sourceStart, from: clip.timestamp, to: clip.timestamp + length, role: clip.role };
+      })
+      .filter(source => (!voiced || source.role === 'voice') && source.to > source.from);
+    if (sources.length === 0) {
+      const error = httpError(422, 'transcribe.source "audio" needs audio clips that play within the render');
+      error.reason = 'no_audio';
+      throw error;
+    }
+  }
+
+  const words = [];
+  let language = options.language === 'auto' ? null : options.language;
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    const wavPath = path.join(tempDir, `speech_${Date.now()}_${i}.wav`);
+    console.log(`🗣️ [${tag}] Transcribing ${options.source} ${sources.length > 1 ? `${i + 1}/${sources.length} ` : ''}(${(source.to - source.from).toFixed(2)}s, language: ${options.language})`);
+    onProgress({ stage: 'transcribing', part: i + 1, totalParts: sources.length });
+    try {
+      await extractSpeech(source.path, wavPath, { start: source.start, duration: source.to - source.from });
+      const output = await runWhisper(wavPath, options);
+      words.push(...wordsFromWhisper(output, { offset: source.from, from: source.from, to: source.to }));
+      if (!language && output.result && output.result.language) language = output.result.language;
+    } finally {
+      try { fs.unlinkSync(wavPath); } catch (e) {}
+    }
+  }
+
+  const cues = groupCues(words, options);
+  console.log(`✅ [${tag}] Transcribed ${words.length} words into ${cues.length} cues${language ? ` (${language})` : ''}`);
+  return { cues, words, language };
+}
+
+// Final pass over a base video: mixes timeline audio, draws image and text
+// overlays and burns captions in a single ffmpeg run. The video stream is
+// copied when nothing draws on it; `scale` re-frames it to the output profile
+// first.
+async function compositeTimeline({ videoPath, outputPath, duration, profile, scale, audioClips, mixOptions, captions, overlays, download, tag }, onProgress) {
+  const tempDir = path.dirname(outputPath);
+  const stamp = Date.now();
+  // Audio keeps the extension of its real container, known after probing
+  const audioPaths = audioClips.map((clip, i) => path.join(tempDir, `audio_input_${stamp}_${i}`));
+  const overlayPaths = overlays.map((overlay, i) => path.join(tempDir, `overlay_${stamp}_${i}${overlay.kind === 'image' ? imageExtension(overlay.url) : '.txt'}`));
+  const imagePaths = overlayPaths.filter((file, i) => overlays[i].kind === 'image');
+  const assPaths = captions.map((caption, i) => path.join(tempDir, `captions_${stamp}_${i}.ass`));
+
+  try {
+    const sourceDurations = [];
+    for (let i = 0; i < audioClips.length; i++) {
+      console.log(`📥 [${tag}] Downloading audio ${i + 1}/${audioClips.length}: ${describeInput(audioClips[i].url)}`);
+      onProgress({ stage: 'downloading', input: 'audio', clip: i + 1, totalClips: audioClips.length });
+      await downloadFile(audioClips[i].url, audioPaths[i], download);
+      const media = await inspectInput(audioPaths[i], 'audio', audioClips[i].url);
+      const extension = audioExtension(media);
+      if (extension) {
+        fs.renameSync(audioPaths[i], audioPaths[i] + extension);
+        audioPaths[i] += extension;
+      }
+      sourceDurations.push(media.duration || 0);
+    }
+
+    for (let i = 0; i < overlays.length; i++) {
+      if (overlays[i].kind === 'text') {
+        fs.writeFileSync(overlayPaths[i], overlays[i].text);
+        continue;
+      }
+      console.log(`📥 [${tag}] Downloading overlay ${i + 1}/${overlays.length}: ${describeInput(overlays[i].url)}`);
+      onProgress({ stage: 'downloading', input: 'image', clip: i + 1, totalClips: overlays.length });
+      await downloadFile(overlays[i].url, overlayPaths[i], download);
+      await inspectInput(overlayPaths[i], 'image', overlays[i].url);
+    }
+
+    const videoMetadata = await probeMedia(videoPath);
+    const videoStream = videoMetadata.streams.find(stream => stream.codec_type === 'video');
+    if (!videoStream) {
+      throw httpError(400, 'Base video has no video stream');
+    }
+    const hasOriginalAudio = videoMetadata.streams.some(stream => stream.codec_type === 'audio');
+
+    // Transcribed captions get their cues before anything is laid out
+    let transcript = null;
+    for (const caption of captions.filter(entry => entry.transcribe)) {
+      transcript = {
+        ...caption.transcribe,
+        ...await transcribeCaption(caption, { videoPath, hasOriginalAudio, audioClips, audioPaths, sourceDurations, duration, tempDir, tag }, onProgress)
+      };
+      caption.cues = transcript.cues;
+    }
+
+    // Overlays and captions are laid out on the output frame
+    const dimensions = scale
+      ? { width: profile.width, height: profile.height }
+      : { width: videoStream.width, height: videoStream.height };
+
+    const filters = [];
+    let video = '0:v';
+
+    if (scale) {
+      filters.push(`[${video}]${buildScaleFilter(profile)}[scaled]`);
+      video = 'scaled';
+    }
+
+    const overlayGraph = buildOverlayFilters({
+      overlays,
+      files: overlayPaths,
+      firstInput: 1 + audioClips.length,
+      videoLabel: video,
+      duration,
+      dimensions
+    });
+    filters.push(...overlayGraph.filters);
+    video = overlayGraph.output;
+
+    captions.forEach((caption, i) => {
+      let subtitleFilter;
+      if (caption.format === 'ass') {
+        fs.writeFileSync(assPaths[i], caption.ass);
+        subtitleFilter = buildSubtitleFilter(assPaths[i], buildForceStyle(caption.style, dimensions));
+      } else {
+        const karaoke = Boolean(caption.transcribe && caption.transcribe.karaoke);
+        fs.writeFileSync(assPaths[i], buildAss(caption.cues, caption.style, dimensions, { karaoke }));
+        subtitleFilter = buildSubtitleFilter(assPaths[i]);
+      }
+      filters.push(`[${video}]${subtitleFilter}[captioned${i}]`);
+      video = `captioned${i}`;
+    });
+
+    const mix = audioClips.length > 0
+      ? buildAudioMix({
+        clips: audioClips,
+        sourceDurations,
+        firstInput: 1,
+        original: mixOptions.keepOriginalAudio && hasOriginalAudio ? '0:a:0' : null,
+        originalVolume: mixOptions.originalVolume,
+        duration,
+        ducking: mixOptions.ducking
+      })
+      : null;
+    if (mix && mix.filter) filters.push(mix.filter);
+
+    const videoFiltered = video !== '0:v';
+    const videoOptions = videoFiltered
+      ? (profile ? videoEncodeOptions(profile) : ['-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '23', '-pix_fmt', 'yuv420p'])
+      : ['-c:v', 'copy'];
+
+    let audioMaps = [];
+    if (mix && mix.output) {
+      audioMaps = ['-map', `[${mix.output}]`, ...(profile ? audioEncodeOptions(profile) : ['-c:a', 'aac', '-b:a', '128k'])];
+    } else if (hasOriginalAudio && (!mix || mixOptions.keepOriginalAudio)) {
+      audioMaps = ['-map', '0:a:0', ...(scale ? audioEncodeOptions(profile) : ['-c:a', 'copy'])];
+    }
+
+    console.log(`🎞️ [${tag}] Compositing ${duration.toFixed(2)}s: ${audioClips.length} audio clips${mix && mix.ducked ? ' (ducked)' : ''}, ${overlays.length} overlays, ${captions.length} caption tracks`);
+    onProgress({ stage: 'compositing' });
+
+    await new Promise((resolve, reject) => {
+      // Re-encodes run at roughly 3x realtime at worst, never allow less than a
+      // minute. Kill ffmpeg too, or it keeps running after the render gave up
+      const timeout = setTimeout(() => {
+        command.kill('SIGKILL');
+        reject(new Error('Processing timeout'));
+      }, Math.max(60000, duration * 3000));
+
+      const command = ffmpeg(videoPath);
+      audioClips.forEach((clip, i) => {
+        command.input(audioPaths[i]);
+        if (clip.loop) command.inputOptions(['-stream_loop', '-1']);
+      });
+      imagePaths.forEach(imagePath => {
+        command.input(imagePath).inputOptions(['-loop', '1', '-t', String(duration)]);
+      });
+      if (filters.length > 0) command.complexFilter(filters.join(';'));
+      command
+        .outputOptions([
+          '-map', videoFiltered ? `[${video}]` : '0:v:0',
+          ...videoOptions,
+          ...audioMaps,
+          '-t', String(duration),
+          '-movflags', '+faststart'
+        ])
+        .output(outputPath)
+        .on('end', () => {
+          clearTimeout(timeout);
+          console.log(`✅ [${tag}] Composite completed`);
+          resolve();
+        })
+        .on('error', (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        })
+        .run();
+    });
+
+    return {
+      audioClips: mix ? mix.clips : [],
+      ducked: mix ? mix.ducked : false,
+      keptOriginalAudio: hasOriginalAudio && (!mix || mixOptions.keepOriginalAudio),
+      transcript
+    };
+  } finally {
+    [...audioPaths, ...overlayPaths, ...assPaths].forEach(file => {
+      try { fs.unlinkSync(file); } catch (e) {}
+    });
+  }
+}
+
+// Runs a fluent-ffmpeg export command, reporting its progress
+function runExportCommand(command, onProgress, details = {}) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('progress', (progress) => {
+        onProgress({ stage: 'exporting', ...details, percent: progress.percent ? Math.round(progress.percent) : null });
+      })
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// EXPORT: THE FINISHED MP4 → output.format (lib/formats.js)
+// Writes the export next to `inputPath` and returns { outputPath, size,
+// renditions }. An HLS ladder is encoded one rendition at a time into
+// hls/<rendition>/ with the master playlist on top, then bundled into a tar
+// when asked for.
+async function exportOutput({ inputPath, format, media, workspace, tag }, onProgress) {
+  const hasAudio = Boolean(media.audio);
+  if (format.audioOnly && !hasAudio) {
+    const error = httpError(422, `output.format "${format.name}" needs audio, but the render has none`);
+    error.reason = 'no_audio';
+    throw error;
+  }
+
+  if (format.name !== 'hls') {
+    const outputPath = workspace.file(`render_export${format.extension}`);
+    console.log(`📦 [${tag}] Exporting ${format.name}...`);
+    await runExportCommand(ffmpeg(inputPath).outputOptions(exportOptions(format, { hasAudio })).output(outputPath), onProgress, { format: format.name });
+    return { outputPath, size: fs.statSync(outputPath).size, renditions: null };
+  }
+
+  const dir = workspace.file('hls');
+  const renditions = hlsRenditions(format, { width: media.video.displayWidth, height: media.video.displayHeight });
+  console.log(`📦 [${tag}] Packaging HLS: ${renditions.map(rendition => rendition.name).join(', ')} (${format.hls.segmentDuration}s segments)`);
+
+  for (const rendition of renditions) {
+    const renditionDir = path.join(dir, rendition.name);
+    fs.mkdirSync(renditionDir, { recursive: true });
+    await runExportCommand(ffmpeg(inputPath)
+      .outputOptions(hlsRenditionOptions(rendition, {
+        fps: media.video.fps || 30,
+        segmentDuration: format.hls.segmentDuration,
+        hasAudio,
+        segmentPattern: path.join(renditionDir, 'segment_%03d.ts')
+      }))
+      .output(path.join(renditionDir, 'index.m3u8')), onProgress, { format: 'hls', rendition: rendition.name });
+  }
+  fs.writeFileSync(path.join(dir, HLS_MASTER_PLAYLIST), buildMasterPlaylist(renditions));
+
+  if (format.hls.package === 'tar') {
+    const outputPath = workspace.file('render_export.tar');
+    await writeTar(dir, outputPath);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { outputPath, size: fs.statSync(outputPath).size, renditions };
+  }
+
+  const size = listFiles(dir).reduce((total, name) => total + fs.statSync(path.join(dir, name)).size, 0);
+  return { outputPath: dir, size, renditions };
+}
+
+// RENDER PIPELINE: BASE VIDEO + AUDIO + CAPTIONS + OVERLAYS
+// The base is either a sequenced timeline (`timeline`) or a single source
+// video used as-is (`source: { url, duration? }`). Everything else is applied
+// in one composite pass. Every endpoint is a thin wrapper over this. With the
+// timeline's `keyframes` (and `gapFill`), clips without a duration are
+// measured first and the timeline is laid out again with their real lengths.
+// A `format` other than mp4 is exported from the finished MP4 last.
+async function runRenderPipeline(spec, onProgress) {
+  const {
+    source = null,
+    timeline: plannedTimeline = [],
+    keyframes = null,
+    gapFill = 'black',
+    batchSize = 3,
+    profile = null,
+    audioClips = [],
+    mixOptions = { keepOriginalAudio: true, originalVolume: '1', ducking: null },
+    captions = [],
+    overlays = [],
+    download = {},
+    failurePolicy = 'skip',
+    format = null,
+    limits = null,
+    workspace,
+    tag = 'RENDER'
+  } = spec;
+
+  const tempDir = workspace.dir;
+
+  let basePath;
+  let sequence = null;
+  let sourceSize = null;
+
+  if (source) {
+    basePath = path.join(tempDir, 'render_source.mp4');
+    console.log(`📥 [${tag}] Downloading video...`);
+    onProgress({ stage: 'downloading', input: 'video' });
+    sourceSize = await downloadFile(source.url, basePath, download);
+    await inspectInput(basePath, 'video', source.url);
+    console.log(`✅ [${tag}] Video saved: ${(sourceSize / 1024).toFixed(2)} KB`);
+  } else {
+    let timeline = plannedTimeline;
+    let prefetched = {};
+    if (keyframes && timeline.some(item => item.autoDuration)) {
+      onProgress({ stage: 'measuring' });
+      const measured = await prefetchSources(timeline, { download, workspace, tag });
+      prefetched = measured.prefetched;
+      timeline = buildTimeline(keyframes, { gapFill, sourceDurations: measured.sourceDurations });
+      console.log(`📏 [${tag}] Timeline with measured clip lengths: ${timelineDuration(timeline).toFixed(2)}s`);
+      checkRenderLimits(limits, { duration: timelineDuration(timeline) });
+    }
+
+    try {
+      sequence = await sequenceClips({ timeline, batchSize, profile, download, failurePolicy, prefetched, workspace }, onProgress);
+    } finally {
+      // Clips cut from the timeline by a later one were fetched but never used
+      Object.values(prefetched).filter(file => file.path).forEach(file => {
+        try { fs.unlinkSync(file.path); } catch (e) {}
+      });
+    }
+    basePath = sequence.outputPath;
+  }
+
+  let outputPath = basePath;
+  let composite = null;
+
+  try {
+    const baseMetadata = await probeMedia(basePath);
+    const baseDuration = parseFloat(baseMetadata.format.duration) || 0;
+    const duration = source && Number(source.duration) > 0
+      ? Math.min(Number(source.duration), baseDuration || Infinity)
+      : baseDuration;
+    checkRenderLimits(limits, { duration });
+
+    // A sequenced base is already in the output profile; a source video only
+    // needs re-framing when a profile was asked for
+    const scale = Boolean(source && profile);
+    const needsComposite = scale ||
+      audioClips.length > 0 ||
+      captions.length > 0 ||
+      overlays.length > 0 ||
+      duration < baseDuration;
+
+    if (needsComposite) {
+      outputPath = path.join(tempDir, 'render_final.mp4');
+      try {
+        composite = await compositeTimeline({
+          videoPath: basePath,
+          outputPath,
+          duration,
+          profile,
+          scale,
+          audioClips,
+          mixOptions,
+          captions,
+          overlays,
+          download,
+          tag
+        }, onProgress);
+      } catch (error) {
+        try { fs.unlinkSync(outputPath); } catch (e) {}
+        throw error;
+      }
+    }
+  } finally {
+    if (outputPath !== basePath) {
+      try { fs.unlinkSync(basePath); } catch (e) {}
+    }
+  }
+
+  // Report what was actually rendered, not what was planned
+  const metadata = await probeMedia(outputPath);
+  const totalDuration = parseFloat(metadata.format.duration) || 0;
+
+  // Transcribed captions can also be downloaded as SRT / WebVTT
+  const transcript = composite ? composite.transcript : null;
+  const sidecars = {};
+  if (transcript) {
+    sidecars.srt = { path: workspace.file('captions.srt'), extension: '.srt', contentType: 'application/x-subrip' };
+    sidecars.vtt = { path: workspace.file('captions.vtt'), extension: '.vtt', contentType: 'text/vtt' };
+    fs.writeFileSync(sidecars.srt.path, buildSrt(transcript.cues));
+    fs.writeFileSync(sidecars.vtt.path, buildVtt(transcript.cues));
+  }
+
+  let exported = null;
+  if (format && format.name !== 'mp4') {
+    try {
+      exported = await exportOutput({ inputPath: outputPath, format, media: summarizeMedia(metadata), workspace, tag }, onProgress);
+    } finally {
+      try { fs.unlinkSync(outputPath); } catch (e) {}
+    }
+  }
+
+  return {
+    outputPath: exported ? exported.outputPath : outputPath,
+    size: exported ? exported.size : fs.statSync(outputPath).size,
+    duration: totalDuration,
+    hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio'),
+    sourceSize,
+    sequence,
+    audioClips: composite ? composite.audioClips : [],
+    ducked: composite ? composite.ducked : false,
+    keptOriginalAudio: composite ? composite.keptOriginalAudio : true,
+    captions: captions.map(caption => ({ format: caption.format, cueCount: caption.cues ? caption.cues.length : null })),
+    overlays: overlays.length,
+    output: profile ? describeProfile(profile) : null,
+    transcript: transcript
+      ? {
+        engine: 'whisper.cpp',
+        source: transcript.source,
+        language: transcript.language,
+        karaoke: transcript.karaoke,
+        cueCount: transcript.cues.length,
+        wordCount: transcript.words.length,
+        cues: transcript.cues.map(({ start, end, text }) => ({ start, end, text }))
+      }
+      : null,
+    sidecars,
+    format: exported
+      ? {
+        name: format.name,
+        contentType: format.contentType,
+        entry: format.entry || undefined,
+        package: format.hls ? format.hls.package : undefined,
+        renditions: exported.renditions || undefined
+      }
+      : null
+  };
+}
+
+// Runs a fluent-ffmpeg command to completion
+function runPreviewCommand(command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Single-image encoder settings by format
+function imageOutputOptions(format) {
+  if (format === 'jpg') return ['-q:v', '3'];
+  if (format === 'webp') return ['-c:v', 'libwebp', '-q:v', '80'];
+  return [];
+}
+
+// PREVIEW PIPELINE: POSTER FRAME / CONTACT SHEET / GIF / WEBP / PROXY MP4
+// `options` come from resolvePreviewOptions (lib/previews.js). `segments` are
+// the segment reports of the job the source came from (`job:<id>`), so a
+// contact sheet can show one tile per segment of that render.
+async function renderPreview({ url, options, segments = null, download, workspace }, onProgress) {
+  const { kind, width } = options;
+  const sourcePath = workspace.file('preview_source');
+
+  console.log(`📥 [PREVIEW] Downloading video...`);
+  onProgress({ stage: 'downloading', input: 'video' });
+  const sourceSize = await downloadFile(url, sourcePath, download);
+  const media = await inspectInput(sourcePath, 'video', url);
+  const duration = media.duration || 0;
+  // Seeking to the very end yields no frame
+  const clampTime = time => Math.min(time, Math.max(duration - 0.1, 0));
+
+  const { extension, contentType } = previewFileType(options);
+  const outputPath = workspace.file(`preview${extension}`);
+  const details = {};
+  onProgress({ stage: kind });
+
+  if (kind === 'poster') {
+    details.time = clampTime(options.time);
+    await runPreviewCommand(ffmpeg(sourcePath)
+      .inputOptions(['-ss', String(details.time)])
+      .outputOptions(['-frames:v', '1', '-vf', `scale=${width}:-2`, ...imageOutputOptions(options.format)])
+      .output(outputPath));
+  }
+
+  if (kind === 'contactSheet') {
+    const times = contactSheetTimes(options, duration, segments).map(clampTime);
+    const height = tileHeight(width, media);
+    const layout = tileLayout(times.length, options.columns);
+
+    // Frames are grabbed with input seeking, a few at a time, then tiled
+    await mapConcurrent(times, SEGMENT_CONCURRENCY, (time, i) => runPreviewCommand(ffmpeg(sourcePath)
+      .inputOptions(['-ss', String(time)])
+      .outputOptions(['-frames:v', '1', '-vf', tileFilter(width, height), '-q:v', '2'])
+      .output(workspace.file(`tile_${String(i).padStart(3, '0')}.jpg`))));
+    await runPreviewCommand(ffmpeg(workspace.file('tile_%03d.jpg'))
+      .inputOptions(['-framerate', '1'])
+      .outputOptions([
+        '-frames:v', '1',
+        '-vf', `tile=${layout.columns}x${layout.rows}:padding=4:margin=4`,
+        ...imageOutputOptions(options.format)
+      ])
+      .output(outputPath));
+
+    times.forEach((time, i) => {
+      try { fs.unlinkSync(workspace.file(`tile_${String(i).padStart(3, '0')}.jpg`)); } catch (e) {}
+    });
+    Object.assign(details, { timestamps: times, columns: layout.columns, rows: layout.rows, tileWidth: width, tileHeight: height });
+  }
+
+  if (kind === 'gif' || kind === 'webp') {
+    const start = clampTime(options.start);
+    const videoOptions = kind === 'gif'
+      ? ['-vf', gifFilter(options)]
+      : ['-vf', `fps=${options.fps},scale=${width}:-2`, '-c:v', 'libwebp', '-lossless', '0', '-q:v', '70'];
+    await runPreviewCommand(ffmpeg(sourcePath)
+      .inputOptions(['-ss', String(start), '-t', String(options.duration)])
+      .outputOptions([...videoOptions, '-loop', '0', '-an'])
+      .output(outputPath));
+    Object.assign(details, { start, duration: Math.min(options.duration, duration - start), fps: options.fps });
+  }
+
+  if (kind === 'proxy') {
+    await runPreviewCommand(ffmpeg(sourcePath)
+      .outputOptions([
+        '-vf', `scale=${width}:-2`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '30', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '64k', '-ac', '2',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath));
+  }
+
+  try { fs.unlinkSync(sourcePath); } catch (e) {}
+
+  // ffprobe can't read animated WebP dimensions; those are the scaled size
+  const output = summarizeMedia(await probeMedia(outputPath));
+  const dimensions = output.video && output.video.width
+    ? { width: output.video.width, height: output.video.height }
+    : { width, height: tileHeight(width, media) };
+  const size = fs.statSync(outputPath).size;
+  console.log(`🎉 [PREVIEW] ${kind} ready: ${dimensions.width}x${dimensions.height}, ${(size / 1024).toFixed(2)} KB`);
+
+  return {
+    outputPath,
+    result: {
+      message: `Created ${kind} preview (${dimensions.width}x${dimensions.height})`,
+      kind,
+      contentType,
+      size,
+      ...dimensions,
+      ...details,
+      sourceDuration: media.duration,
+      sourceSize
+    }
+  };
+}
+
+module.exports = {
+  runRenderPipeline,
+  renderPreview
+};
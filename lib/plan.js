@@ -0,0 +1,170 @@
+const { SEGMENT_CONCURRENCY } = require('./queue');
+const { hlsRenditions } = require('./formats');
+const { describeProfile } = require('./output');
+const { describeInput } = require('./ingest');
+const { timelineDuration, splitBatches } = require('./timeline');
+
+// Dry-run plans for POST /api/plan: the timeline a render would lay out, the
+// batches it would prepare, and rough estimates of the output size and render
+// time. Estimates come from the output settings alone (nothing is downloaded
+// or probed), so they are for capacity planning and UI hints, not promises.
+
+// x264 bits per pixel per frame at CRF 23 on typical footage; each 6 CRF
+// steps halves (or doubles) it
+const BITS_PER_PIXEL_AT_CRF23 = 0.07;
+// Encoding speed in multiples of realtime at 1080p30 per preset
+const PRESET_SPEED = {
+  ultrafast: 8,
+  superfast: 6,
+  veryfast: 4,
+  faster: 3,
+  fast: 2,
+  medium: 1.5,
+  slow: 0.8,
+  slower: 0.4,
+  veryslow: 0.2
+};
+const REFERENCE_PIXEL_RATE = 1920 * 1080 * 30;
+// Download, probe and ffmpeg start-up per clip
+const SEGMENT_OVERHEAD_SECONDS = 1.5;
+// VP9 at the export settings against x264 veryfast
+const VP9_SPEED_FACTOR = 0.15;
+const VP9_SIZE_FACTOR = 0.6;
+const WAV_KBPS = 1411;
+
+// "128k", "4M" or plain bits per second → kbit/s
+function bitrateKbps(value) {
+  const match = /^(\d+(?:\.\d+)?)([kM]?)$/.exec(String(value));
+  if (!match) return 0;
+  const number = Number(match[1]);
+  if (match[2] === 'M') return number * 1000;
+  return match[2] === 'k' ? number : number / 1000;
+}
+
+function videoKbps(profile) {
+  if (profile.videoBitrate) return bitrateKbps(profile.videoBitrate);
+  const bitsPerPixel = BITS_PER_PIXEL_AT_CRF23 * Math.pow(2, (23 - profile.crf) / 6);
+  return (profile.width * profile.height * profile.fps * bitsPerPixel) / 1000;
+}
+
+// Multiples of realtime x264 encodes `profile`-sized video at
+function encodeSpeed(profile, preset = profile.preset) {
+  return (PRESET_SPEED[preset] * REFERENCE_PIXEL_RATE) / (profile.width * profile.height * profile.fps);
+}
+
+// { videoKbps, audioKbps } of the delivered output
+function estimateBitrates(profile, format) {
+  const audio = bitrateKbps(profile.audioBitrate);
+  if (format.name === 'mp3') return { videoKbps: 0, audioKbps: format.audioBitrate ? bitrateKbps(format.audioBitrate) : 192 };
+  if (format.name === 'aac') return { videoKbps: 0, audioKbps: format.audioBitrate ? bitrateKbps(format.audioBitrate) : audio };
+  if (format.name === 'wav') return { videoKbps: 0, audioKbps: WAV_KBPS };
+  if (format.name === 'webm') {
+    return { videoKbps: videoKbps(profile) * VP9_SIZE_FACTOR, audioKbps: format.audioBitrate ? bitrateKbps(format.audioBitrate) : 128 };
+  }
+  if (format.name === 'hls') {
+    const renditions = hlsRenditions(format, profile);
+    return {
+      videoKbps: renditions.reduce((total, rendition) => total + rendition.videoBitrate, 0),
+      audioKbps: renditions.reduce((total, rendition) => total + rendition.audioBitrate, 0)
+    };
+  }
+  return { videoKbps: videoKbps(profile), audioKbps: audio };
+}
+
+// Seconds of work for one render once it leaves the queue
+function estimateRenderSeconds({ profile, format, duration, clipCount, transitions, composite }) {
+  const speed = encodeSpeed(profile);
+  // Segments are prepared SEGMENT_CONCURRENCY at a time
+  let seconds = (clipCount * SEGMENT_OVERHEAD_SECONDS + duration / speed) / SEGMENT_CONCURRENCY;
+  // Hard cuts join with -c copy; transitions re-encode the batch
+  if (transitions > 0) seconds += duration / speed;
+  if (composite) seconds += duration / speed;
+
+  if (format.name === 'webm') seconds += duration / (speed * VP9_SPEED_FACTOR);
+  if (format.name === 'hls') {
+    hlsRenditions(format, profile).forEach((rendition) => {
+      seconds += duration / encodeSpeed({ ...rendition, fps: profile.fps }, 'veryfast');
+    });
+  }
+  if (format.audioOnly) seconds += duration / 50;
+
+  return Math.ceil(seconds);
+}
+
+function describeItem(item, index) {
+  const entry = {
+    index,
+    type: item.type,
+    timelineStart: Number(item.timelineStart.toFixed(3)),
+    duration: Number((item.duration + (item.hold || 0)).toFixed(3)),
+    transition: item.transition ? { type: item.transition.type, duration: item.transition.duration } : null
+  };
+  if (item.type === 'gap') return entry;
+
+  return {
+    ...entry,
+    keyframeIndex: item.keyframeIndex,
+    url: describeInput(item.url),
+    still: item.still,
+    sourceStart: item.sourceStart,
+    hold: item.hold,
+    // Measured from the source when rendering; planned at the default length
+    estimatedDuration: item.autoDuration
+  };
+}
+
+// `queue` is queueStats() at planning time
+function buildPlan({ timeline, batchSize, gapFill, profile, format, audioClips, captions, overlays, queue }) {
+  const duration = timelineDuration(timeline);
+  const clips = timeline.filter(item => item.type === 'clip');
+  const transitions = timeline.filter(item => item.transition).length;
+  const composite = audioClips.length > 0 || captions.length > 0 || overlays.length > 0;
+
+  const bitrates = estimateBitrates(profile, format);
+  const renderSeconds = estimateRenderSeconds({ profile, format, duration, clipCount: clips.length, transitions, composite });
+  const queueWaitSeconds = queue.running >= queue.concurrency || queue.waiting > 0
+    ? Math.ceil(((queue.waiting + 1) * (queue.averageRunMs || renderSeconds * 1000)) / queue.concurrency / 1000)
+    : 0;
+
+  const warnings = [];
+  const estimated = clips.filter(item => item.autoDuration);
+  if (estimated.length > 0) {
+    warnings.push(`${estimated.length} clip${estimated.length === 1 ? ' has' : 's have'} no duration; planned at the default length, the render measures the sources`);
+  }
+
+  return {
+    timeline: {
+      duration: Number(duration.toFixed(3)),
+      gapFill,
+      clipCount: clips.length,
+      stillCount: clips.filter(item => item.still).length,
+      gapCount: timeline.filter(item => item.type === 'gap').length,
+      transitions,
+      items: timeline.map(describeItem)
+    },
+    batches: splitBatches(timeline, batchSize).map((batch, i) => ({
+      batch: i + 1,
+      items: batch.map(item => timeline.indexOf(item)),
+      duration: Number(batch.reduce((total, item) => total + item.duration + (item.hold || 0), 0).toFixed(3))
+    })),
+    batchSize,
+    segmentConcurrency: SEGMENT_CONCURRENCY,
+    output: describeProfile(profile),
+    format: format.name,
+    audioClips: audioClips.length,
+    captions: captions.map(caption => ({ format: caption.format, cueCount: caption.cues ? caption.cues.length : null })),
+    overlays: overlays.length,
+    estimates: {
+      outputBytes: Math.round(((bitrates.videoKbps + bitrates.audioKbps) * 1000 * duration) / 8),
+      videoKbps: Math.round(bitrates.videoKbps),
+      audioKbps: Math.round(bitrates.audioKbps),
+      renderSeconds,
+      queueWaitSeconds
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  buildPlan
+};
@@ -0,0 +1,148 @@
+const { badRequest } = require('./errors');
+
+// Previews of a finished video for UIs that shouldn't pull the whole render:
+//
+//   poster        one frame at `time` (jpg, png or webp)
+//   contactSheet  a grid of frames: one tile per timeline segment when the
+//                 source is `job:<id>` of a sequencing job, otherwise at
+//                 `timestamps` or `tiles` evenly spaced points
+//   gif / webp    an animated clip of `duration` seconds from `start`
+//   proxy         a small, low-bitrate MP4 for scrubbing and review
+//
+// This module validates the request and builds the filters; POST /api/preview
+// runs them.
+
+const PREVIEW_KINDS = ['poster', 'contactSheet', 'gif', 'webp', 'proxy'];
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+const DEFAULTS = {
+  poster: { width: 640 },
+  contactSheet: { width: 320, tiles: 12 },
+  gif: { width: 320, duration: 3, fps: 10 },
+  webp: { width: 320, duration: 3, fps: 15 },
+  proxy: { width: 480 }
+};
+
+const MAX_WIDTH = 1920;
+const MAX_ANIMATION_SECONDS = 15;
+const MAX_TILES = 100;
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+function numberOption(value, field, { min, max, fallback }) {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function resolvePreviewOptions(body) {
+  const kind = body.kind;
+  if (!PREVIEW_KINDS.includes(kind)) {
+    throw badRequest(`kind must be one of: ${PREVIEW_KINDS.join(', ')}`);
+  }
+  const defaults = DEFAULTS[kind];
+  const options = {
+    kind,
+    width: even(numberOption(body.width, 'width', { min: 16, max: MAX_WIDTH, fallback: defaults.width }))
+  };
+
+  if (kind === 'poster' || kind === 'contactSheet') {
+    const format = body.format || 'jpg';
+    if (!IMAGE_TYPES[format]) {
+      throw badRequest(`format must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+    }
+    options.format = format;
+  }
+
+  if (kind === 'poster') {
+    options.time = numberOption(body.time, 'time', { min: 0, max: Infinity, fallback: 0 });
+  }
+
+  if (kind === 'contactSheet') {
+    if (body.timestamps !== undefined) {
+      if (!Array.isArray(body.timestamps) || body.timestamps.length === 0 || body.timestamps.length > MAX_TILES) {
+        throw badRequest(`timestamps must be an array of 1 to ${MAX_TILES} numbers`);
+      }
+      options.timestamps = body.timestamps.map((time, i) =>
+        numberOption(time, `timestamps[${i}]`, { min: 0, max: Infinity }));
+    }
+    options.tiles = Math.round(numberOption(body.tiles, 'tiles', { min: 1, max: MAX_TILES, fallback: defaults.tiles }));
+    options.columns = body.columns === undefined
+      ? null
+      : Math.round(numberOption(body.columns, 'columns', { min: 1, max: MAX_TILES }));
+  }
+
+  if (kind === 'gif' || kind === 'webp') {
+    options.start = numberOption(body.start, 'start', { min: 0, max: Infinity, fallback: 0 });
+    options.duration = numberOption(body.duration, 'duration', { min: 0.1, max: MAX_ANIMATION_SECONDS, fallback: defaults.duration });
+    options.fps = numberOption(body.fps, 'fps', { min: 1, max: 30, fallback: defaults.fps });
+  }
+
+  return options;
+}
+
+// { extension, contentType } of the file a preview produces
+function previewFileType(options) {
+  if (options.kind === 'proxy') return { extension: '.mp4', contentType: 'video/mp4' };
+  if (options.kind === 'gif') return { extension: '.gif', contentType: 'image/gif' };
+  if (options.kind === 'webp') return { extension: '.webp', contentType: 'image/webp' };
+  return { extension: `.${options.format}`, contentType: IMAGE_TYPES[options.format] };
+}
+
+// Tile times for a contact sheet of a `duration` second video. `segments` are
+// the segment reports of the job that produced it, if any: each included
+// segment gets the frame at its middle.
+function contactSheetTimes(options, duration, segments = null) {
+  if (options.timestamps) return options.timestamps.map(time => Math.min(time, duration));
+
+  const placed = (segments || []).filter(segment => segment.outputStart !== undefined && segment.status !== 'skipped');
+  if (placed.length > 0) {
+    return placed.slice(0, MAX_TILES).map(segment =>
+      Math.min(segment.outputStart + segment.duration / 2, duration));
+  }
+
+  // Evenly spaced, each tile from the middle of its slice
+  return Array.from({ length: options.tiles }, (_, i) => (duration * (i + 0.5)) / options.tiles);
+}
+
+// Near-square grid, wider than tall
+function tileLayout(count, columns = null) {
+  const cols = Math.min(count, columns || Math.ceil(Math.sqrt(count)));
+  return { columns: cols, rows: Math.ceil(count / cols) };
+}
+
+// Scales a frame into a width x height box, letterboxed so every tile of a
+// sheet has the same size
+function tileFilter(width, height) {
+  return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+}
+
+// Tile height keeping the video's display aspect ratio
+function tileHeight(width, media) {
+  const { displayWidth, displayHeight } = media.video;
+  return even((width * displayHeight) / displayWidth);
+}
+
+// A palette per clip keeps GIF colours close to the source
+function gifFilter({ fps, width }) {
+  return `fps=${fps},scale=${width}:-2:flags=lanczos,split[frames][copy];[copy]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer`;
+}
+
+module.exports = {
+  PREVIEW_KINDS,
+  resolvePreviewOptions,
+  previewFileType,
+  contactSheetTimes,
+  tileLayout,
+  tileFilter,
+  tileHeight,
+  gifFilter
+};
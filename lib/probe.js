@@ -0,0 +1,146 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { httpError } = require('./errors');
+
+// ffprobe-based inspection of downloaded inputs. POST /api/probe returns the
+// summary as-is; the render pipelines use inspectMedia to reject files that
+// aren't what they were given as (a web page for a clip, a video for an
+// image) before spending an encode on them, and to learn real durations and
+// whether a clip has audio.
+
+// Image demuxers (png_pipe, jpeg_pipe, image2, ...) and gif are treated as stills
+const IMAGE_FORMAT = /(^|,)(image2|gif|[a-z0-9]+_pipe)(,|$)/;
+
+// Container (first format_name entry) → file extension for downloaded audio
+const AUDIO_EXTENSIONS = {
+  mp3: '.mp3',
+  mov: '.m4a',
+  wav: '.wav',
+  ogg: '.ogg',
+  flac: '.flac',
+  matroska: '.mka',
+  aac: '.aac',
+  aiff: '.aiff'
+};
+
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// "30000/1001" → 29.97
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 1000) / 1000;
+}
+
+// Phone footage stores rotation either as a `rotate` tag or in the display
+// matrix side data, depending on the muxer and the ffprobe version
+function rotationOf(stream) {
+  const tag = stream.tags && stream.tags.rotate;
+  if (tag !== undefined) return ((parseInt(tag, 10) % 360) + 360) % 360;
+  const matrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  if (matrix) return ((Math.round(-matrix.rotation) % 360) + 360) % 360;
+  return 0;
+}
+
+function summarizeMedia(data) {
+  const format = data.format || {};
+  const container = format.format_name || null;
+  const videoStream = data.streams.find(stream =>
+    stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audioStream = data.streams.find(stream => stream.codec_type === 'audio');
+  const isImage = Boolean(videoStream && container && IMAGE_FORMAT.test(container));
+
+  let video = null;
+  if (videoStream) {
+    const rotation = rotationOf(videoStream);
+    const sideways = rotation === 90 || rotation === 270;
+    video = {
+      codec: videoStream.codec_name,
+      width: videoStream.width,
+      height: videoStream.height,
+      // Size as played back, after rotation
+      displayWidth: sideways ? videoStream.height : videoStream.width,
+      displayHeight: sideways ? videoStream.width : videoStream.height,
+      fps: isImage ? null : parseRate(videoStream.avg_frame_rate) || parseRate(videoStream.r_frame_rate),
+      rotation,
+      pixelFormat: videoStream.pix_fmt || null
+    };
+  }
+
+  const audio = audioStream
+    ? {
+      codec: audioStream.codec_name,
+      sampleRate: parseNumber(audioStream.sample_rate),
+      channels: audioStream.channels || null,
+      channelLayout: audioStream.channel_layout || null
+    }
+    : null;
+
+  return {
+    container,
+    containerName: format.format_long_name || null,
+    duration: isImage ? null : parseNumber(format.duration),
+    size: parseNumber(format.size),
+    bitRate: parseNumber(format.bit_rate),
+    isImage,
+    hasVideo: Boolean(video) && !isImage,
+    hasAudio: Boolean(audio),
+    video,
+    audio
+  };
+}
+
+// `reason` matches the download errors' codes so segment reports can show it
+function mediaError(status, reason, message) {
+  const error = httpError(status, message);
+  error.reason = reason;
+  return error;
+}
+
+// Probes `filePath` and checks it holds what it was given as: 'video' (a
+// video stream), 'audio' (an audio stream), 'image' (a still) or anything
+// media when `expect` is omitted. Resolves the summary; rejects with a 415.
+async function inspectMedia(filePath, expect = null) {
+  let media;
+  try {
+    media = summarizeMedia(await probeMedia(filePath));
+  } catch (error) {
+    throw mediaError(415, 'not_media', 'Not a recognised audio, video or image file');
+  }
+
+  if (!media.video && !media.audio) {
+    throw mediaError(415, 'not_media', 'File has no audio or video streams');
+  }
+  if (expect === 'video' && !media.hasVideo) {
+    throw media.isImage
+      ? mediaError(415, 'not_video', 'File is an image, not a video (use type: "image" for stills)')
+      : mediaError(415, 'no_video_stream', 'File has no video stream');
+  }
+  if (expect === 'audio' && !media.hasAudio) {
+    throw mediaError(415, 'no_audio_stream', 'File has no audio stream');
+  }
+  if (expect === 'image' && !media.isImage) {
+    throw mediaError(415, 'not_image', `File is not an image (${media.container})`);
+  }
+  return media;
+}
+
+function audioExtension(media) {
+  return AUDIO_EXTENSIONS[(media.container || '').split(',')[0]] || '';
+}
+
+module.exports = {
+  probeMedia,
+  summarizeMedia,
+  inspectMedia,
+  mediaError,
+  audioExtension
+};
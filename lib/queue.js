@@ -0,0 +1,326 @@
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const { badRequest, httpError } = require('./errors');
+const { currentLogContext, runInLogContext } = require('./logger');
+
+// Central render queue. Every render (sync request or async job) waits here
+// for one of RENDER_CONCURRENCY worker slots, so load shows up as queue depth
+// instead of more ffmpeg processes than the machine can hold. Higher priority
+// renders start first; within a priority it is first come, first served. Past
+// RENDER_QUEUE_LIMIT waiting renders new ones are refused (503).
+//
+// Renders run inside an AsyncLocalStorage context: ffmpeg commands created
+// through trackCommand and downloads watching currentSignal() belong to the
+// render, so cancelling it kills its ffmpeg processes and aborts its downloads.
+// A render also runs in the log context it was queued from (lib/logger.js),
+// not in that of whichever render freed its slot.
+//
+// On shutdown the queue drains (drainQueue): new renders are refused, waiting
+// ones are interrupted at once and running ones may finish; interruptRenders
+// stops whatever is still running once the drain window is over. Interrupted
+// renders reject with reason "interrupted" (503), not "cancelled".
+
+const RENDER_CONCURRENCY = parseInt(process.env.RENDER_CONCURRENCY, 10) || Math.max(1, Math.floor(os.cpus().length / 2));
+const RENDER_QUEUE_LIMIT = parseInt(process.env.RENDER_QUEUE_LIMIT, 10) || 20;
+// ffmpeg processes one render may run side by side while preparing segments
+const SEGMENT_CONCURRENCY = parseInt(process.env.SEGMENT_CONCURRENCY, 10) || 2;
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+// Recent renders used for the wait and run time averages
+const HISTORY_SIZE = 50;
+
+const waiting = [];
+const running = new Set();
+const history = [];
+const counters = { completed: 0, failed: 0, cancelled: 0, interrupted: 0, rejected: 0 };
+const renderContext = new AsyncLocalStorage();
+let sequence = 0;
+let draining = false;
+// Called once no render is running
+let idleWaiters = [];
+
+function resolvePriority(body) {
+  const priority = body.priority || 'normal';
+  if (!Object.prototype.hasOwnProperty.call(PRIORITIES, priority)) {
+    throw badRequest(`priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+  }
+  return priority;
+}
+
+function cancelledError() {
+  const error = httpError(409, 'Render was cancelled');
+  error.reason = 'cancelled';
+  return error;
+}
+
+function interruptedError() {
+  const error = httpError(503, 'Render was interrupted by a server shutdown; submit it again');
+  error.reason = 'interrupted';
+  return error;
+}
+
+const average = values => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0);
+
+// Rough seconds until a slot frees up for a refused request
+function retryAfterSeconds() {
+  const runMs = average(history.map(entry => entry.runMs)) || 30000;
+  return Math.max(5, Math.ceil((runMs * (waiting.length + 1)) / RENDER_CONCURRENCY / 1000));
+}
+
+// Checked before a render is set up; answers 503 with Retry-After and returns
+// false when no more renders can wait
+function admitRender(res) {
+  if (draining) {
+    counters.rejected++;
+    res.set('Retry-After', '30');
+    res.status(503).json({
+      success: false,
+      error: 'Server is shutting down, try again shortly',
+      reason: 'shutting_down',
+      retryAfter: 30
+    });
+    return false;
+  }
+  if (waiting.length < RENDER_QUEUE_LIMIT) return true;
+
+  counters.rejected++;
+  const retryAfter = retryAfterSeconds();
+  console.log(`🚧 [QUEUE] Full (${waiting.length} waiting) - refusing render`);
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    success: false,
+    error: `Render queue is full (${RENDER_QUEUE_LIMIT} renders waiting), try again later`,
+    retryAfter
+  });
+  return false;
+}
+
+function start(entry) {
+  runInLogContext(entry.logContext, () => run(entry));
+}
+
+function run(entry) {
+  entry.state = 'running';
+  entry.startedAt = Date.now();
+  running.add(entry);
+  console.log(`▶️ [QUEUE] Starting ${entry.label} (${entry.priority}, waited ${entry.startedAt - entry.enqueuedAt}ms, ${running.size}/${RENDER_CONCURRENCY} running)`);
+
+  renderContext.run(entry, () => Promise.resolve().then(entry.task))
+    .then((value) => {
+      // A task that swallows its errors (runJob) still counts as cancelled
+      if (entry.controller.signal.aborted) throw cancelledError();
+      counters.completed++;
+      entry.resolve(value);
+    })
+    .catch((error) => {
+      if (entry.interrupted) {
+        counters.interrupted++;
+        entry.reject(interruptedError());
+        return;
+      }
+      const cancelled = entry.controller.signal.aborted;
+      counters[cancelled ? 'cancelled' : 'failed']++;
+      entry.reject(cancelled ? cancelledError() : error);
+    })
+    .finally(() => {
+      running.delete(entry);
+      entry.state = 'done';
+      history.push({ waitMs: entry.startedAt - entry.enqueuedAt, runMs: Date.now() - entry.startedAt });
+      if (history.length > HISTORY_SIZE) history.shift();
+      pump();
+      if (running.size === 0) {
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+      }
+    });
+}
+
+function pump() {
+  while (!draining && running.size < RENDER_CONCURRENCY && waiting.length > 0) {
+    start(waiting.shift());
+  }
+}
+
+// Stops `entry`: cancelled by its client, or interrupted by a shutdown
+function cancel(entry, { interrupt = false } = {}) {
+  if (interrupt) entry.interrupted = true;
+  if (entry.state === 'waiting') {
+    waiting.splice(waiting.indexOf(entry), 1);
+    entry.state = 'done';
+    entry.cancelledWaiting = true;
+    counters[interrupt ? 'interrupted' : 'cancelled']++;
+    entry.reject(interrupt ? interruptedError() : cancelledError());
+    return true;
+  }
+  if (entry.state === 'running') {
+    entry.controller.abort();
+    entry.commands.forEach(command => command.kill('SIGKILL'));
+    return true;
+  }
+  return false;
+}
+
+// Queues `task()` and returns a ticket: { promise, cancel(), position(), state }.
+// `promise` settles with the task's outcome, or rejects with a `cancelled`
+// error once cancel() stops it (waiting or running).
+function enqueueRender(task, { priority = 'normal', label = 'render' } = {}) {
+  const entry = {
+    id: ++sequence,
+    task,
+    label,
+    priority,
+    rank: PRIORITIES[priority],
+    state: 'waiting',
+    enqueuedAt: Date.now(),
+    startedAt: null,
+    controller: new AbortController(),
+    commands: new Set(),
+    logContext: currentLogContext()
+  };
+  entry.promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+
+  // Behind everything of the same or higher priority
+  const index = waiting.findIndex(other => other.rank > entry.rank);
+  waiting.splice(index === -1 ? waiting.length : index, 0, entry);
+  if (draining) {
+    cancel(entry, { interrupt: true });
+  } else if (waiting.length > 1 || running.size >= RENDER_CONCURRENCY) {
+    console.log(`⏳ [QUEUE] ${label} queued (${priority}) at position ${waiting.indexOf(entry) + 1}`);
+  }
+  pump();
+
+  return {
+    promise: entry.promise,
+    cancel: () => cancel(entry),
+    // 1-based place in line while waiting, null once started
+    position: () => (entry.state === 'waiting' ? waiting.indexOf(entry) + 1 : null),
+    get cancelled() {
+      return !entry.interrupted && (entry.controller.signal.aborted || entry.cancelledWaiting === true);
+    },
+    get interrupted() {
+      return entry.interrupted === true;
+    },
+    get state() {
+      return entry.state;
+    }
+  };
+}
+
+// Resolves true once no render is running, false if `timeoutMs` passes first
+function waitForIdle(timeoutMs) {
+  if (running.size === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    idleWaiters.push(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+// Starts a shutdown: no render starts from here on and waiting ones are
+// interrupted. Resolves like waitForIdle once the running renders finish.
+function drainQueue(timeoutMs) {
+  draining = true;
+  [...waiting].forEach(entry => cancel(entry, { interrupt: true }));
+  return waitForIdle(timeoutMs);
+}
+
+// Kills the renders still running after the drain window
+function interruptRenders(timeoutMs) {
+  [...running].forEach(entry => cancel(entry, { interrupt: true }));
+  return waitForIdle(timeoutMs);
+}
+
+// Registers a fluent-ffmpeg command with the render it is created in. Throws
+// if that render has already been cancelled, so no new step starts.
+function trackCommand(command) {
+  const entry = renderContext.getStore();
+  if (!entry) return command;
+  if (entry.controller.signal.aborted) throw cancelledError();
+
+  entry.commands.add(command);
+  const forget = () => entry.commands.delete(command);
+  command.on('end', forget).on('error', forget);
+  return command;
+}
+
+// Abort signal of the render the caller runs in, if any
+function currentSignal() {
+  const entry = renderContext.getStore();
+  return entry ? entry.controller.signal : null;
+}
+
+// Maps `items` through async `fn(item, index)` with at most `limit` calls in
+// flight, resolving the results in order. After a rejection no new calls
+// start; it rejects with that error once the ones in flight have settled.
+function mapConcurrent(items, limit, fn) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let active = 0;
+    let failure = null;
+
+    const launch = () => {
+      if (active === 0 && (failure || next >= items.length)) {
+        return failure ? reject(failure.error) : resolve(results);
+      }
+      while (!failure && active < limit && next < items.length) {
+        const index = next++;
+        active++;
+        Promise.resolve()
+          .then(() => fn(items[index], index))
+          .then((value) => {
+            results[index] = value;
+          }, (error) => {
+            if (!failure) failure = { error };
+          })
+          .finally(() => {
+            active--;
+            launch();
+          });
+      }
+    };
+    launch();
+  });
+}
+
+function queueStats() {
+  const now = Date.now();
+  const byPriority = {};
+  Object.keys(PRIORITIES).forEach(priority => {
+    byPriority[priority] = waiting.filter(entry => entry.priority === priority).length;
+  });
+
+  return {
+    concurrency: RENDER_CONCURRENCY,
+    limit: RENDER_QUEUE_LIMIT,
+    draining,
+    running: running.size,
+    waiting: waiting.length,
+    waitingByPriority: byPriority,
+    oldestWaitMs: waiting.length > 0 ? now - Math.min(...waiting.map(entry => entry.enqueuedAt)) : 0,
+    averageWaitMs: average(history.map(entry => entry.waitMs)),
+    averageRunMs: average(history.map(entry => entry.runMs)),
+    ...counters
+  };
+}
+
+module.exports = {
+  RENDER_CONCURRENCY,
+  SEGMENT_CONCURRENCY,
+  PRIORITIES,
+  resolvePriority,
+  admitRender,
+  enqueueRender,
+  trackCommand,
+  currentSignal,
+  mapConcurrent,
+  queueStats,
+  interruptedError,
+  drainQueue,
+  interruptRenders
+};
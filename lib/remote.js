@@ -0,0 +1,222 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { httpError } = require('./errors');
+
+// Fetch policy for every URL a caller hands us (media inputs, subtitle files,
+// webhook callbacks).
+// Without it a request could point the server at localhost, the cloud metadata
+// endpoint or an internal service and get the response echoed back as video.
+//
+//   - schemes: FETCH_ALLOWED_SCHEMES (default "https,http")
+//   - hosts: FETCH_DENIED_HOSTS always wins; with FETCH_ALLOWED_HOSTS set only
+//     those hosts are fetched. Entries match the host and, as "*.example.com",
+//     its subdomains.
+//   - addresses: private, loopback, link-local and other reserved ranges are
+//     refused, both as IP literals and after DNS resolution. The check runs in
+//     the socket's own lookup, so the address connected to is the one checked
+//     (no DNS rebinding between check and connect). FETCH_ALLOW_PRIVATE=true
+//     turns this off for local development.
+//   - redirects: followed by hand (at most FETCH_MAX_REDIRECTS), every hop
+//     checked like the original URL
+//   - content types: the response must announce one of the expected types (or
+//     none at all)
+//
+// Refusals are httpErrors with a `reason` code (blocked_scheme, blocked_host,
+// blocked_address, too_many_redirects, blocked_content_type) that ends up in
+// per-segment reports.
+
+const list = value => (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+const ALLOWED_SCHEMES = list(process.env.FETCH_ALLOWED_SCHEMES || 'https,http');
+const ALLOWED_HOSTS = list(process.env.FETCH_ALLOWED_HOSTS);
+const DENIED_HOSTS = list(process.env.FETCH_DENIED_HOSTS);
+const ALLOW_PRIVATE = process.env.FETCH_ALLOW_PRIVATE === 'true';
+const MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS, 10) || 5;
+
+const MEDIA_TYPES = [
+  'video/*',
+  'audio/*',
+  'image/*',
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/mp4',
+  'application/ogg'
+];
+const SUBTITLE_TYPES = [
+  'text/*',
+  'application/x-subrip',
+  'application/json',
+  'application/octet-stream'
+];
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32],
+  ['2002::', 16] // 6to4, wraps any IPv4 (2002:7f00:1:: is 127.0.0.1); deprecated
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function policyError(status, reason, message) {
+  const error = httpError(status, message);
+  error.reason = reason;
+  error.retryable = false;
+  return error;
+}
+
+// IPv4 carried inside IPv6 (::ffff:a.b.c.d mapped, 64:ff9b::/96 NAT64) is
+// judged as the IPv4 address it reaches
+function embeddedIPv4(address) {
+  const match = /^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE) return false;
+  const version = net.isIP(address);
+  if (version === 4) return BLOCKED_RANGES.check(address, 'ipv4');
+  if (version === 6) {
+    const ipv4 = embeddedIPv4(address);
+    return ipv4 ? BLOCKED_RANGES.check(ipv4, 'ipv4') : BLOCKED_RANGES.check(address, 'ipv6');
+  }
+  return true;
+}
+
+const hostMatches = (host, entry) =>
+  entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry;
+
+// Scheme, host lists and IP literals; hostnames are checked again once resolved
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw policyError(400, 'invalid_url', `Invalid URL: ${url}`);
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!ALLOWED_SCHEMES.includes(scheme)) {
+    throw policyError(400, 'blocked_scheme', `URL scheme "${scheme}" is not allowed (allowed: ${ALLOWED_SCHEMES.join(', ')})`);
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (DENIED_HOSTS.some(entry => hostMatches(host, entry))) {
+    throw policyError(403, 'blocked_host', `Host ${host} is on the deny list`);
+  }
+  if (ALLOWED_HOSTS.length > 0 && !ALLOWED_HOSTS.some(entry => hostMatches(host, entry))) {
+    throw policyError(403, 'blocked_host', `Host ${host} is not on the allow list`);
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw policyError(403, 'blocked_address', `${host} is a private or reserved address`);
+  }
+
+  return parsed;
+}
+
+// An agent per request whose DNS lookup refuses blocked addresses. node-fetch
+// wraps lookup errors in its own FetchError, so the refusal is recorded on
+// `state` for fetchRemote to report.
+function guardedAgent(parsed, state) {
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        state.blocked = { hostname, address: blocked.address };
+        return callback(new Error(`${hostname} resolves to a blocked address`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+  return parsed.protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+function contentTypeAllowed(contentType, accept) {
+  if (!contentType) return true;
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return accept.some(entry => (entry.endsWith('/*') ? type.startsWith(entry.slice(0, -1)) : type === entry));
+}
+
+// fetch() under the policy. `accept` lists the content types a successful
+// response may have (MEDIA_TYPES by default). Error responses are returned
+// as-is for the caller to report.
+async function fetchRemote(url, { method = 'GET', signal, timeout, accept = MEDIA_TYPES } = {}) {
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const parsed = checkUrl(current);
+    const state = { blocked: null };
+    let response;
+    try {
+      response = await fetch(parsed.toString(), { method, signal, timeout, redirect: 'manual', agent: guardedAgent(parsed, state) });
+    } catch (error) {
+      if (state.blocked) {
+        throw policyError(403, 'blocked_address', `${state.blocked.hostname} resolves to ${state.blocked.address}, a private or reserved address`);
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.body.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw policyError(502, 'too_many_redirects', `More than ${MAX_REDIRECTS} redirects`);
+      }
+      current = new URL(location, parsed).toString();
+      continue;
+    }
+
+    if (response.ok && !contentTypeAllowed(response.headers.get('content-type'), accept)) {
+      response.body.resume();
+      throw policyError(415, 'blocked_content_type', `Unexpected content type "${response.headers.get('content-type')}"`);
+    }
+    return response;
+  }
+}
+
+// One-line summary for the startup log
+function describeFetchPolicy() {
+  return [
+    `schemes ${ALLOWED_SCHEMES.join('/')}`,
+    ALLOW_PRIVATE ? 'private addresses ALLOWED' : 'private addresses blocked',
+    ALLOWED_HOSTS.length > 0 ? `allow list: ${ALLOWED_HOSTS.join(', ')}` : null,
+    DENIED_HOSTS.length > 0 ? `deny list: ${DENIED_HOSTS.join(', ')}` : null
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  SUBTITLE_TYPES,
+  checkUrl,
+  isBlockedAddress,
+  guardedAgent,
+  fetchRemote,
+  describeFetchPolicy
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Minimal S3 client: PutObject and presigned GetObject URLs, signed with AWS
+// Signature V4. Works with AWS S3 and S3-compatible stores (MinIO, R2, Spaces);
+// with a custom `endpoint` requests use path-style URLs.
+
+const SERVICE = 's3';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function createS3Client({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey }) {
+  const base = endpoint
+    ? new URL(`${endpoint.replace(/\/+$/, '')}/${bucket}`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com`);
+
+  function objectUrl(key) {
+    const url = new URL(base.toString());
+    url.pathname = `${base.pathname.replace(/\/$/, '')}/${key.split('/').map(uriEncode).join('/')}`;
+    return url;
+  }
+
+  function signature(stringToSign, dateStamp) {
+    const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), SERVICE), 'aws4_request');
+    return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  }
+
+  function stringToSign(canonicalRequest, timestamp, scope) {
+    return ['AWS4-HMAC-SHA256', timestamp, scope, sha256(canonicalRequest)].join('\n');
+  }
+
+  async function putObject(key, filePath, { contentType = 'application/octet-stream' } = {}) {
+    const url = objectUrl(key);
+    const timestamp = amzDate(new Date());
+    const dateStamp = timestamp.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+
+    const canonicalRequest = [
+      'PUT',
+      url.pathname,
+      '',
+      `host:${url.host}`,
+      `x-amz-content-sha256:${UNSIGNED_PAYLOAD}`,
+      `x-amz-date:${timestamp}`,
+      '',
+      signedHeaders,
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, ` +
+      `Signature=${signature(stringToSign(canonicalRequest, timestamp, scope), dateStamp)}`;
+
+    const response = await fetch(url.toString(), {
+      method: 'PUT',
+      headers: {
+        Authorization: authorization,
+        'Content-Type': contentType,
+        'Content-Length': String(fs.statSync(filePath).size),
+        'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+        'x-amz-date': timestamp
+      },
+      body: fs.createReadStream(filePath)
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+      throw new Error(`S3 upload failed (HTTP ${response.status}${code ? ` ${code}` : ''}): ${key}`);
+    }
+  }
+
+  function presignGetUrl(key, expiresInSeconds) {
+    const url = objectUrl(key);
+    const timestamp = amzDate(new Date());
+    const dateStamp = timestamp.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${scope}`,
+      'X-Amz-Date': timestamp,
+      'X-Amz-Expires': String(Math.min(Math.max(1, Math.round(expiresInSeconds)), MAX_PRESIGN_SECONDS)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      'GET',
+      url.pathname,
+      canonicalQuery,
+      `host:${url.host}`,
+      '',
+      'host',
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    const signed = signature(stringToSign(canonicalRequest, timestamp, scope), dateStamp);
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signed}`;
+  }
+
+  return {
+    objectUrl: key => objectUrl(key).toString(),
+    putObject,
+    presignGetUrl
+  };
+}
+
+module.exports = { createS3Client };
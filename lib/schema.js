@@ -0,0 +1,359 @@
+const { badRequest } = require('./errors');
+const { TRANSITIONS } = require('./transitions');
+const { ANCHORS } = require('./stills');
+const { POSITIONS } = require('./overlays');
+const { GAP_FILLS } = require('./timeline');
+const { TRACK_TYPES } = require('./tracks');
+
+// JSON Schema (draft-07) of the timeline document: `tracks` with their
+// keyframes, `videoUrls`, and the timeline options next to them. Render
+// endpoints validate the body against it before anything is resolved, so a
+// missing `url` or a non-numeric `duration` is a 400 naming the field instead
+// of a clip silently dropped from the render. GET /api/schema serves it.
+//
+// It checks the shape; value rules that depend on other fields (sourceEnd
+// after sourceStart, overlapping clips) stay with the modules that resolve
+// them.
+//
+// validate() implements the keywords used here: type, enum, const, minimum,
+// maximum, exclusiveMinimum, minLength, pattern, minItems, maxItems, items,
+// contains, properties, required, allOf, anyOf, if/then and local $refs, plus
+// `errorMessage` (as in ajv-errors) to report one readable message for a
+// subschema instead of what each branch of it disliked. Like ajv's
+// coerceTypes, `number` also accepts numeric strings ("5"), which the modules
+// have always converted.
+
+const numberLike = (constraints, errorMessage) => ({ type: 'number', ...constraints, errorMessage });
+
+const TIMELINE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'video-sequencer/timeline.json',
+  title: 'Video Sequencer timeline document',
+  type: 'object',
+  properties: {
+    tracks: { $ref: '#/definitions/tracks' },
+    videoUrls: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [
+          { $ref: '#/definitions/url' },
+          { type: 'object', required: ['mp4_url'], properties: { mp4_url: { $ref: '#/definitions/url' } } }
+        ],
+        errorMessage: 'must be a URL string or { mp4_url }'
+      }
+    },
+    batchSize: { type: 'integer', minimum: 1, maximum: 50 },
+    gapFill: { enum: GAP_FILLS }
+  },
+  definitions: {
+    url: { type: 'string', minLength: 1, errorMessage: 'must be a non-empty URL string' },
+    seconds: numberLike({ minimum: 0 }, 'must be a non-negative number of seconds'),
+    positiveSeconds: numberLike({ exclusiveMinimum: 0 }, 'must be a positive number of seconds'),
+    number: numberLike({}, 'must be a number'),
+    fraction: numberLike({ minimum: 0, maximum: 1 }, 'must be a number between 0 and 1'),
+    transition: {
+      anyOf: [
+        { enum: ['cut', 'none', ...Object.keys(TRANSITIONS)] },
+        {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { enum: ['cut', 'none', ...Object.keys(TRANSITIONS)] },
+            duration: { $ref: '#/definitions/positiveSeconds' }
+          }
+        }
+      ],
+      errorMessage: `must be one of: cut, ${Object.keys(TRANSITIONS).join(', ')} or { type, duration }`
+    },
+    kenBurns: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            from: { enum: Object.keys(ANCHORS) },
+            to: { enum: Object.keys(ANCHORS) },
+            zoomStart: numberLike({ minimum: 1, maximum: 4 }, 'must be a number between 1 and 4'),
+            zoomEnd: numberLike({ minimum: 1, maximum: 4 }, 'must be a number between 1 and 4')
+          }
+        }
+      ],
+      errorMessage: 'must be true or { from, to, zoomStart, zoomEnd }'
+    },
+    placement: {
+      type: 'object',
+      properties: {
+        timestamp: { $ref: '#/definitions/seconds' },
+        duration: { $ref: '#/definitions/seconds' },
+        position: { enum: POSITIONS },
+        x: { $ref: '#/definitions/number' },
+        y: { $ref: '#/definitions/number' },
+        margin: { $ref: '#/definitions/seconds' },
+        opacity: { $ref: '#/definitions/fraction' },
+        fadeIn: { $ref: '#/definitions/seconds' },
+        fadeOut: { $ref: '#/definitions/seconds' }
+      }
+    },
+    videoKeyframe: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { $ref: '#/definitions/url' },
+        type: { enum: ['video', 'image'] },
+        timestamp: { $ref: '#/definitions/seconds' },
+        duration: { $ref: '#/definitions/positiveSeconds' },
+        sourceStart: { $ref: '#/definitions/seconds' },
+        sourceEnd: { $ref: '#/definitions/positiveSeconds' },
+        transition: { $ref: '#/definitions/transition' },
+        kenBurns: { $ref: '#/definitions/kenBurns' }
+      }
+    },
+    audioKeyframe: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { $ref: '#/definitions/url' },
+        timestamp: { $ref: '#/definitions/seconds' },
+        duration: { $ref: '#/definitions/seconds' },
+        sourceStart: { $ref: '#/definitions/seconds' },
+        volume: {
+          anyOf: [
+            { type: 'number', minimum: 0, maximum: 10 },
+            { type: 'string', pattern: '^(-?\\d+(\\.\\d+)?[dD][bB]|\\d+(\\.\\d+)?)$' }
+          ],
+          errorMessage: 'must be a number between 0 and 10 or a gain such as "-6dB"'
+        },
+        fadeIn: { $ref: '#/definitions/seconds' },
+        fadeOut: { $ref: '#/definitions/seconds' },
+        loop: { type: 'boolean' }
+      }
+    },
+    captionKeyframe: {
+      type: 'object',
+      required: ['timestamp', 'duration', 'text'],
+      properties: {
+        timestamp: { $ref: '#/definitions/seconds' },
+        duration: { $ref: '#/definitions/positiveSeconds' },
+        text: { type: 'string' }
+      }
+    },
+    imageKeyframe: {
+      allOf: [{ $ref: '#/definitions/placement' }],
+      required: ['url'],
+      properties: {
+        url: { $ref: '#/definitions/url' },
+        width: numberLike({ minimum: 1 }, 'must be a number of pixels'),
+        scale: numberLike({ minimum: 0.01, maximum: 1 }, 'must be a number between 0.01 and 1')
+      }
+    },
+    textKeyframe: {
+      allOf: [{ $ref: '#/definitions/placement' }],
+      required: ['text'],
+      properties: {
+        text: { type: 'string', minLength: 1 },
+        font: { type: 'string', pattern: '^[\\w .-]+$', errorMessage: 'must be a font family name such as "DejaVu Sans"' },
+        fontSize: numberLike({ exclusiveMinimum: 0 }, 'must be a positive number'),
+        color: { type: 'string' },
+        box: { anyOf: [{ type: 'boolean' }, { type: 'object' }], errorMessage: 'must be true or { color, opacity, padding }' }
+      }
+    },
+    track: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: TRACK_TYPES },
+        keyframes: { type: 'array' }
+      },
+      allOf: [
+        {
+          if: { properties: { type: { const: 'video' } } },
+          then: { required: ['keyframes'], properties: { keyframes: { items: { $ref: '#/definitions/videoKeyframe' } } } }
+        },
+        {
+          if: { properties: { type: { const: 'audio' } } },
+          then: {
+            properties: {
+              role: { type: 'string' },
+              keyframes: { items: { $ref: '#/definitions/audioKeyframe' } }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { enum: ['captions', 'subtitles'] } } },
+          then: {
+            allOf: [{
+              anyOf: [{ required: ['keyframes'] }, { required: ['subtitles'] }, { required: ['transcribe'] }],
+              errorMessage: 'needs keyframes, a subtitles source or transcribe'
+            }],
+            properties: { keyframes: { items: { $ref: '#/definitions/captionKeyframe' } } }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'image' } } },
+          then: { required: ['keyframes'], properties: { keyframes: { items: { $ref: '#/definitions/imageKeyframe' } } } }
+        },
+        {
+          if: { properties: { type: { const: 'text' } } },
+          then: { required: ['keyframes'], properties: { keyframes: { items: { $ref: '#/definitions/textKeyframe' } } } }
+        }
+      ]
+    },
+    tracks: {
+      type: 'array',
+      items: { $ref: '#/definitions/track' }
+    },
+    // What a sequencing render needs on top: something to put on the timeline
+    videoTrack: {
+      type: 'object',
+      required: ['type', 'keyframes'],
+      properties: { type: { const: 'video' }, keyframes: { type: 'array', minItems: 1 } }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const NUMERIC_STRING = /^\s*-?\d+(\.\d+)?\s*$/;
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer' || (actual === 'string' && NUMERIC_STRING.test(value));
+  return actual === type;
+}
+
+const childPath = (at, key) => (typeof key === 'number' ? `${at}[${key}]` : at ? `${at}.${key}` : key);
+const describe = value => (typeof value === 'string' ? `"${value}"` : String(value));
+
+function resolveRef(ref) {
+  const match = /^#\/definitions\/(.+)$/.exec(ref);
+  if (!match || !TIMELINE_SCHEMA.definitions[match[1]]) throw new Error(`Unknown schema $ref ${ref}`);
+  return TIMELINE_SCHEMA.definitions[match[1]];
+}
+
+function checkRange(number, schema, at, errors) {
+  if (schema.minimum !== undefined && number < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && number > schema.maximum) {
+    errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) {
+    errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+}
+
+// [{ path, message }] for everything in `value` that `schema` rejects
+function validate(schema, value, at = '') {
+  if (schema.$ref) return validate(resolveRef(schema.$ref), value, at);
+
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` });
+    return withMessage(schema, errors, at);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${describe(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number' || schema.type === 'number') checkRange(Number(value), schema, at, errors);
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: 'has an invalid format' });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, childPath(at, index))));
+    }
+    if (schema.contains && !value.some(item => validate(schema.contains, item, at).length === 0)) {
+      errors.push({ path: at, message: 'has no matching item' });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: childPath(at, key), message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validate(propertySchema, value[key], childPath(at, key)));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(subschema => errors.push(...validate(subschema, value, at)));
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(subschema => validate(subschema, value, at));
+    if (!branches.some(branch => branch.length === 0)) {
+      // The branch that got furthest explains it best
+      const closest = branches.reduce((best, branch) =>
+        (Math.max(0, ...branch.map(error => error.path.length)) > Math.max(0, ...best.map(error => error.path.length)) ? branch : best));
+      errors.push(...closest);
+    }
+  }
+
+  if (schema.if && validate(schema.if, value, at).length === 0 && schema.then) {
+    errors.push(...validate(schema.then, value, at));
+  }
+
+  return withMessage(schema, errors, at);
+}
+
+// `errorMessage` stands in for what went wrong with the value itself (its
+// type, a missing field); problems deeper inside it keep their own paths
+function withMessage(schema, errors, at) {
+  if (!schema.errorMessage) return errors;
+  const own = errors.filter(error => error.path === at || error.message === 'is required');
+  if (own.length === 0) return errors;
+  return [{ path: at, message: schema.errorMessage }, ...errors.filter(error => !own.includes(error))];
+}
+
+// Throws a 400 listing every problem when `body` isn't a valid timeline
+// document. `requireVideo` (sequencing renders) also asks for a video track
+// with keyframes when `tracks` is the source.
+function validateTimeline(body, { requireVideo = false } = {}) {
+  const errors = validate(TIMELINE_SCHEMA, body || {});
+  const tracksAreSource = Array.isArray(body.tracks) && (body.tracks.length > 0 || !body.videoUrls);
+  if (requireVideo && tracksAreSource && errors.length === 0 &&
+    validate({ contains: TIMELINE_SCHEMA.definitions.videoTrack }, body.tracks).length > 0) {
+    errors.push({ path: 'tracks', message: 'must include a video track with at least one keyframe' });
+  }
+  if (errors.length === 0) return;
+
+  const [first] = errors;
+  const error = badRequest(
+    `${first.path ? `${first.path} ` : ''}${first.message}${errors.length > 1 ? ` (and ${errors.length - 1} more problem${errors.length > 2 ? 's' : ''})` : ''}`,
+    errors
+  );
+  error.reason = 'invalid_timeline';
+  throw error;
+}
+
+module.exports = {
+  TIMELINE_SCHEMA,
+  validate,
+  validateTimeline
+};
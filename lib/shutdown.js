@@ -0,0 +1,80 @@
+const { queueStats, drainQueue, interruptRenders } = require('./queue');
+const { settleWebhooks } = require('./webhooks');
+const { removeOwnWorkspaces } = require('./workspace');
+
+// Graceful shutdown on SIGTERM / SIGINT. Instead of exiting on the spot the
+// server drains:
+//
+//   1. it stops accepting connections and refuses new renders (503
+//      "shutting_down"); renders still waiting in the queue are interrupted
+//   2. running renders get SHUTDOWN_DRAIN_MS to finish (default: 30s less
+//      than RAILWAY_DEPLOYMENT_DRAINING_SECONDS, the platform's grace period)
+//   3. renders still running then are killed: their jobs fail with reason
+//      "interrupted" and sync requests get a 503 with that reason. Jobs live
+//      in memory only, so after the restart an interrupted job is gone; its
+//      completion webhook is the only place the failure is reported, and the
+//      client has to submit the request again.
+//   4. completion webhooks (including those of interrupted jobs) get up to
+//      WEBHOOK_GRACE_MS to go out, this process's workspaces are removed and
+//      it exits
+//
+// A second signal skips the wait: workspaces are removed and it exits at once.
+
+const PLATFORM_GRACE_MS = (parseInt(process.env.RAILWAY_DEPLOYMENT_DRAINING_SECONDS, 10) || 120) * 1000;
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || Math.max(10000, PLATFORM_GRACE_MS - 30000);
+// Time killed renders get to settle and answer their requests
+const INTERRUPT_GRACE_MS = 5000;
+const WEBHOOK_GRACE_MS = 15000;
+
+function installShutdownHandlers(server) {
+  let shuttingDown = false;
+
+  const exit = (code) => {
+    const removed = removeOwnWorkspaces();
+    console.log(`👋 [SHUTDOWN] Removed ${removed} workspaces, exiting`);
+    process.exit(code);
+  };
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.log(`🛑 [SHUTDOWN] ${signal} received again - exiting without waiting`);
+      exit(1);
+      return;
+    }
+    shuttingDown = true;
+
+    const stats = queueStats();
+    console.log(`🛑 [SHUTDOWN] ${signal} received - draining ${stats.running} running renders for up to ${Math.round(SHUTDOWN_DRAIN_MS / 1000)}s, interrupting ${stats.waiting} waiting`);
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+
+    const drained = await drainQueue(SHUTDOWN_DRAIN_MS);
+    if (!drained) {
+      console.log(`⏱️ [SHUTDOWN] Drain window over - interrupting ${queueStats().running} renders`);
+      await interruptRenders(INTERRUPT_GRACE_MS);
+    } else {
+      console.log('✅ [SHUTDOWN] All renders finished');
+    }
+
+    // Let the responses and webhooks of the renders that just ended go out
+    await new Promise(resolve => setImmediate(resolve));
+    if (!await settleWebhooks(WEBHOOK_GRACE_MS)) {
+      console.log('⚠️ [SHUTDOWN] Webhook deliveries still pending - giving up on them');
+    }
+    await Promise.race([closed, new Promise(resolve => setTimeout(resolve, INTERRUPT_GRACE_MS))]);
+
+    exit(0);
+  };
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+}
+
+function describeShutdown() {
+  return `drains renders for up to ${Math.round(SHUTDOWN_DRAIN_MS / 1000)}s (SHUTDOWN_DRAIN_MS), then fails them as interrupted`;
+}
+
+module.exports = {
+  SHUTDOWN_DRAIN_MS,
+  installShutdownHandlers,
+  describeShutdown
+};
@@ -0,0 +1,83 @@
+const { badRequest } = require('./errors');
+const { isImageUrl } = require('./overlays');
+const { buildScaleFilter } = require('./output');
+
+// Still images as full-frame clips on a video track. A keyframe is a still when
+// it says `type: 'image'` or its URL ends in an image extension. `kenBurns`
+// slowly zooms and pans across it:
+//   kenBurns: true
+//   kenBurns: { zoomStart: 1, zoomEnd: 1.2, from: 'center', to: 'top-left' }
+
+const KEN_BURNS_DEFAULTS = { zoomStart: 1, zoomEnd: 1.2, from: 'center', to: 'center' };
+
+// Pan anchors as fractions of the free space left and above the visible window
+const ANCHORS = {
+  'top-left': [0, 0],
+  top: [0.5, 0],
+  'top-right': [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  'bottom-left': [0, 1],
+  bottom: [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+function isStill(keyframe) {
+  return keyframe.type === 'image' || (keyframe.type !== 'video' && isImageUrl(keyframe.url));
+}
+
+function zoomLevel(value, field) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 1 || number > 4) {
+    throw badRequest(`${field} must be a number between 1 and 4`);
+  }
+  return number;
+}
+
+function resolveKenBurns(spec, index) {
+  if (!spec) return null;
+
+  const options = { ...KEN_BURNS_DEFAULTS, ...(typeof spec === 'object' ? spec : {}) };
+  ['from', 'to'].forEach(key => {
+    if (!ANCHORS[options[key]]) {
+      throw badRequest(`keyframes[${index}].kenBurns.${key} must be one of: ${Object.keys(ANCHORS).join(', ')}`);
+    }
+  });
+
+  return {
+    zoomStart: zoomLevel(options.zoomStart, `keyframes[${index}].kenBurns.zoomStart`),
+    zoomEnd: zoomLevel(options.zoomEnd, `keyframes[${index}].kenBurns.zoomEnd`),
+    from: options.from,
+    to: options.to
+  };
+}
+
+// -vf chain turning a looped still (read at the profile's frame rate) into
+// `duration` seconds of video. zoompan works on a 2x oversampled frame so the
+// slow zoom doesn't jitter between whole pixels.
+function buildStillFilter(kenBurns, profile, duration) {
+  if (!kenBurns) return buildScaleFilter(profile);
+
+  const { width, height, fps } = profile;
+  const frames = Math.max(1, Math.round(duration * fps) - 1);
+  const progress = `min(on/${frames},1)`;
+  const [fromX, fromY] = ANCHORS[kenBurns.from];
+  const [toX, toY] = ANCHORS[kenBurns.to];
+  const zoom = `${kenBurns.zoomStart}+${kenBurns.zoomEnd - kenBurns.zoomStart}*${progress}`;
+  const x = `(iw-iw/zoom)*(${fromX}+${toX - fromX}*${progress})`;
+  const y = `(ih-ih/zoom)*(${fromY}+${toY - fromY}*${progress})`;
+
+  return [
+    buildScaleFilter({ ...profile, width: width * 2, height: height * 2 }),
+    `zoompan=z='${zoom}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${fps}`,
+    'setsar=1'
+  ].join(',');
+}
+
+module.exports = {
+  ANCHORS,
+  isStill,
+  resolveKenBurns,
+  buildStillFilter
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { badRequest } = require('./errors');
+const { createS3Client } = require('./s3');
+const { listFiles } = require('./workspace');
+
+// Where finished renders go. Endpoints hand the output file to storeFile and
+// return its URL instead of inlining the video as base64.
+//
+//   STORAGE_BACKEND=local (default) → moved into STORAGE_DIR, served from
+//     GET /files/:id until it expires (STORAGE_TTL_MS)
+//   STORAGE_BACKEND=s3 → uploaded to S3_BUCKET (S3_ENDPOINT for MinIO and other
+//     S3-compatible stores) and returned as a presigned URL valid for
+//     STORAGE_TTL_MS, or a plain URL under S3_PUBLIC_URL for public buckets
+//
+// `delivery: 'base64'` in a request keeps the original inline `videoData`
+// response for outputs up to INLINE_MAX_BYTES.
+//
+// An output may also be a directory (an HLS package): locally its files are
+// served under /files/:id/<path>; on S3 they are uploaded under one prefix and,
+// without S3_PUBLIC_URL, its playlists are rewritten to presigned URLs. Either
+// way the returned `url` points at the directory's `entry` file.
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(os.tmpdir(), 'video-sequencer-files');
+const STORAGE_TTL_MS = parseInt(process.env.STORAGE_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+const INLINE_MAX_BYTES = parseInt(process.env.INLINE_MAX_BYTES, 10) || 25 * 1024 * 1024; // 25MB
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const DELIVERY_MODES = ['url', 'base64'];
+const FILE_ID = /^[0-9a-f-]{36}$/;
+
+function resolveDelivery(body) {
+  const delivery = body.delivery || 'url';
+  if (!DELIVERY_MODES.includes(delivery)) {
+    throw badRequest(`delivery must be one of: ${DELIVERY_MODES.join(', ')}`);
+  }
+  return delivery;
+}
+
+// rename() can't cross filesystems (e.g. a tmpfs workspace and a mounted volume)
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.cpSync(from, to, { recursive: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
+
+// Content types of the files inside a stored directory
+const FILE_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.aac': 'audio/aac'
+};
+const fileType = name => FILE_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+
+const metadataPath = id => path.join(STORAGE_DIR, `${id}.json`);
+
+const localBackend = {
+  name: 'local',
+
+  async save(filePath, { id, extension, contentType, baseUrl }) {
+    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+    const key = `${id}${extension}`;
+    const storedPath = path.join(STORAGE_DIR, key);
+    const expiresAt = new Date(Date.now() + STORAGE_TTL_MS).toISOString();
+
+    moveFile(filePath, storedPath);
+    fs.writeFileSync(metadataPath(id), JSON.stringify({ id, key, contentType, expiresAt }));
+
+    return { storage: 'local', key, url: `${baseUrl}/files/${id}`, expiresAt, path: storedPath };
+  },
+
+  // Served file by file, so there is no single local `path` to hand back
+  async saveDirectory(dirPath, { id, entry, contentType, baseUrl }) {
+    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+    const expiresAt = new Date(Date.now() + STORAGE_TTL_MS).toISOString();
+
+    moveFile(dirPath, path.join(STORAGE_DIR, id));
+    fs.writeFileSync(metadataPath(id), JSON.stringify({ id, key: `${id}/${entry}`, directory: true, contentType, expiresAt }));
+
+    return { storage: 'local', key: `${id}/${entry}`, url: `${baseUrl}/files/${id}/${entry}`, expiresAt, path: null };
+  }
+};
+
+let s3Client = null;
+
+function getS3Client() {
+  if (!s3Client) {
+    const bucket = process.env.S3_BUCKET;
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    s3Client = createS3Client({
+      bucket,
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId,
+      secretAccessKey
+    });
+  }
+  return s3Client;
+}
+
+const s3KeyPrefix = () => `${process.env.S3_PREFIX !== undefined ? process.env.S3_PREFIX : 'renders/'}${new Date().toISOString().slice(0, 10)}/`;
+
+// Public URL, or a presigned one valid for STORAGE_TTL_MS
+function s3Location(key) {
+  if (process.env.S3_PUBLIC_URL) {
+    return { url: `${process.env.S3_PUBLIC_URL.replace(/\/+$/, '')}/${key}`, expiresAt: null };
+  }
+  return {
+    url: getS3Client().presignGetUrl(key, STORAGE_TTL_MS / 1000),
+    expiresAt: new Date(Date.now() + STORAGE_TTL_MS).toISOString()
+  };
+}
+
+const s3Backend = {
+  name: 's3',
+
+  async save(filePath, { id, extension, contentType }) {
+    const client = getS3Client();
+    const key = `${s3KeyPrefix()}${id}${extension}`;
+    await client.putObject(key, filePath, { contentType });
+    try { fs.unlinkSync(filePath); } catch (e) {}
+
+    return { storage: 's3', key, ...s3Location(key), path: null };
+  },
+
+  // Relative references inside playlists can't carry presigned query strings,
+  // so without a public URL every playlist is rewritten to point at presigned
+  // URLs: media files go up first, then playlists deepest first, so each one
+  // only references files that already have their URL.
+  async saveDirectory(dirPath, { id, entry }) {
+    const client = getS3Client();
+    const base = `${s3KeyPrefix()}${id}/`;
+    const files = listFiles(dirPath);
+    const playlists = files.filter(name => name.endsWith('.m3u8'))
+      .sort((a, b) => b.split('/').length - a.split('/').length);
+    const urls = {};
+
+    for (const name of files.filter(file => !file.endsWith('.m3u8'))) {
+      await client.putObject(`${base}${name}`, path.join(dirPath, name), { contentType: fileType(name) });
+      urls[name] = s3Location(`${base}${name}`).url;
+    }
+
+    for (const name of playlists) {
+      const playlistPath = path.join(dirPath, name);
+      if (!process.env.S3_PUBLIC_URL) {
+        const dir = path.posix.dirname(name);
+        const rewritten = fs.readFileSync(playlistPath, 'utf8').split('\n').map(line => {
+          if (!line || line.startsWith('#')) return line;
+          return urls[path.posix.normalize(path.posix.join(dir, line.trim()))] || line;
+        }).join('\n');
+        fs.writeFileSync(playlistPath, rewritten);
+      }
+      await client.putObject(`${base}${name}`, playlistPath, { contentType: fileType(name) });
+      urls[name] = s3Location(`${base}${name}`).url;
+    }
+
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    return { storage: 's3', key: `${base}${entry}`, ...s3Location(`${base}${entry}`), path: null };
+  }
+};
+
+const BACKENDS = { local: localBackend, s3: s3Backend };
+
+// Stores a finished render, consuming `filePath`. Resolves
+// { storage, key, url, expiresAt, path } where `path` is the stored file when
+// it is still on this machine (local backend), otherwise null. A directory is
+// stored whole, with `entry` as the file its URL points at.
+async function storeFile(filePath, { baseUrl, extension = '.mp4', contentType = 'video/mp4', entry = null }) {
+  const backend = BACKENDS[STORAGE_BACKEND];
+  if (!backend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  const id = crypto.randomUUID();
+  if (fs.statSync(filePath).isDirectory()) {
+    return backend.saveDirectory(filePath, { id, entry, contentType, baseUrl });
+  }
+  return backend.save(filePath, { id, extension, contentType, baseUrl });
+}
+
+// Locally stored file for GET /files/:id: { path, contentType, expired } or
+// null. For a stored directory, `entry` is the file within it; paths that
+// would leave the directory are not found.
+function getLocalFile(id, entry = null) {
+  if (!FILE_ID.test(id)) return null;
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath(id), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+  const expired = Date.parse(metadata.expiresAt) < Date.now();
+
+  if (metadata.directory) {
+    const root = path.join(STORAGE_DIR, id);
+    if (entry === null) return { path: root, directory: true, expired };
+    const filePath = path.resolve(root, entry);
+    if (!filePath.startsWith(`${root}${path.sep}`)) return null;
+    return { path: filePath, contentType: fileType(filePath), filename: path.basename(filePath), expired };
+  }
+  if (entry !== null) return null;
+
+  return {
+    path: path.join(STORAGE_DIR, metadata.key),
+    contentType: metadata.contentType,
+    filename: metadata.key,
+    expired
+  };
+}
+
+function removeLocalFile(id) {
+  const file = getLocalFile(id);
+  if (file) {
+    try { fs.rmSync(file.path, { recursive: true, force: true }); } catch (e) {}
+  }
+  try { fs.unlinkSync(metadataPath(id)); } catch (e) {}
+}
+
+// Delete local files past their expiry (metadata survives restarts, so files
+// stored by an earlier process are swept too)
+function sweepExpiredFiles() {
+  let names;
+  try {
+    names = fs.readdirSync(STORAGE_DIR);
+  } catch (e) {
+    return;
+  }
+  names.filter(name => name.endsWith('.json')).forEach(name => {
+    const id = name.slice(0, -'.json'.length);
+    const file = getLocalFile(id);
+    if (!file || file.expired) {
+      console.log(`🧹 [STORAGE] Expiring file ${id}`);
+      removeLocalFile(id);
+    }
+  });
+}
+
+if (STORAGE_BACKEND === 'local') {
+  setInterval(sweepExpiredFiles, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  INLINE_MAX_BYTES,
+  resolveDelivery,
+  storeFile,
+  getLocalFile,
+  sweepExpiredFiles
+};
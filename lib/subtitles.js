@@ -0,0 +1,383 @@
+const { fetchRemote, checkUrl, SUBTITLE_TYPES } = require('./remote');
+const { badRequest, httpError } = require('./errors');
+
+// Subtitle parsing (SRT / WebVTT / ASS / inline JSON cues) and ASS generation
+// for the libass-based burn-in used by /api/add-subtitles, plus SRT / WebVTT
+// writers for transcribed captions (lib/transcribe.js).
+
+// Subtitle files are read into memory, so remote ones are capped well below
+// the media download limit
+const SUBTITLE_MAX_BYTES = parseInt(process.env.SUBTITLE_MAX_BYTES, 10) || 5 * 1024 * 1024; // 5MB
+
+const NAMED_COLORS = {
+  white: 'FFFFFF',
+  black: '000000',
+  yellow: 'FFFF00',
+  red: 'FF0000',
+  green: '00FF00',
+  blue: '0000FF',
+  cyan: '00FFFF',
+  magenta: 'FF00FF',
+  gray: '808080',
+  grey: '808080'
+};
+
+const ALIGNMENTS = {
+  bottom: 2,
+  'bottom-left': 1,
+  'bottom-right': 3,
+  middle: 5,
+  center: 5,
+  'middle-left': 4,
+  'middle-right': 6,
+  top: 8,
+  'top-left': 7,
+  'top-right': 9
+};
+
+const DEFAULT_STYLE = {
+  font: 'DejaVu Sans',
+  color: 'white',
+  outlineColor: 'black',
+  outline: 2,
+  shadow: 0,
+  bold: false,
+  italic: false,
+  position: 'bottom',
+  highlightColor: 'yellow', // karaoke: words already spoken
+  safeMargin: 5 // percent of the frame kept clear on every edge
+};
+
+// Accepts seconds (number or numeric string) or HH:MM:SS,mmm / HH:MM:SS.mmm /
+// MM:SS.mmm / ASS-style H:MM:SS.cc timestamps. Returns seconds.
+function parseTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return NaN;
+
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+  const match = trimmed.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return NaN;
+
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return parseInt(hours, 10) * 3600 +
+    parseInt(minutes, 10) * 60 +
+    parseInt(seconds, 10) +
+    parseFloat(`0.${fraction}`);
+}
+
+function detectFormat(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^\[Script Info\]/i.test(head)) return 'ass';
+  if (/^WEBVTT/.test(head)) return 'vtt';
+  if (/-->/.test(head)) return 'srt';
+  return null;
+}
+
+// SRT and WebVTT share the same block layout once headers and NOTE/STYLE
+// blocks are dropped: optional identifier, timing line, text lines.
+function parseTimedBlocks(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startPart, endPart] = lines[timingIndex].split('-->');
+    // VTT cue settings ("align:start line:90%") follow the end time
+    const start = parseTimestamp(startPart.trim());
+    const end = parseTimestamp(endPart.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join('\n');
+
+    if (Number.isNaN(start) || Number.isNaN(end) || !cueText) continue;
+    cues.push({ start, end, text: cueText });
+  }
+  return cues;
+}
+
+function normalizeCues(cues) {
+  if (!Array.isArray(cues)) {
+    throw badRequest('subtitles cues must be an array of { start, end, text }');
+  }
+
+  return cues.map((cue, index) => {
+    const start = parseTimestamp(cue && cue.start);
+    const end = parseTimestamp(cue && cue.end);
+    const text = cue && cue.text != null ? String(cue.text) : '';
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw badRequest(`subtitles[${index}] has an invalid start/end time`);
+    }
+    if (end <= start) {
+      throw badRequest(`subtitles[${index}] ends before it starts`);
+    }
+    return { start, end, text };
+  }).filter(cue => cue.text.trim() !== '')
+    .sort((a, b) => a.start - b.start);
+}
+
+async function fetchSubtitleText(url) {
+  const response = await fetchRemote(url, { timeout: 15000, accept: SUBTITLE_TYPES });
+  if (!response.ok) {
+    throw badRequest(`Subtitle download failed: ${response.status}`);
+  }
+
+  const tooLarge = () => {
+    const error = httpError(413, `Subtitle file exceeds the ${(SUBTITLE_MAX_BYTES / 1024 / 1024).toFixed(2)} MB limit`);
+    error.reason = 'too_large';
+    return error;
+  };
+  if (Number(response.headers.get('content-length')) > SUBTITLE_MAX_BYTES) {
+    response.body.resume();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response.body) {
+    received += chunk.length;
+    if (received > SUBTITLE_MAX_BYTES) {
+      response.body.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function parseSubtitleText(text, format) {
+  const resolvedFormat = format || detectFormat(text);
+
+  if (resolvedFormat === 'ass' || resolvedFormat === 'ssa') {
+    return { format: 'ass', ass: text };
+  }
+  if (resolvedFormat === 'srt' || resolvedFormat === 'vtt') {
+    return { format: resolvedFormat, cues: normalizeCues(parseTimedBlocks(text)) };
+  }
+  throw badRequest('Unrecognized subtitle format (expected SRT, WebVTT or ASS)');
+}
+
+// Subtitles at `url`. With `plan` (a dry run) the URL is only checked against
+// the fetch policy, not downloaded: the track's cues stay unknown.
+async function remoteSubtitles(url, format, plan) {
+  if (plan) {
+    checkUrl(url);
+    return { format: format || 'remote', cues: null };
+  }
+  return parseSubtitleText(await fetchSubtitleText(url), format);
+}
+
+// `subtitles` may be:
+//   - an array of { start, end, text } cues
+//   - a string holding SRT / WebVTT / ASS text, or an http(s) URL to one
+//   - an object { url | content, format?, cues? }
+async function resolveSubtitles(subtitles, { plan = false } = {}) {
+  if (Array.isArray(subtitles)) {
+    return { format: 'json', cues: normalizeCues(subtitles) };
+  }
+
+  if (typeof subtitles === 'string') {
+    if (/^https?:\/\//i.test(subtitles.trim())) {
+      return remoteSubtitles(subtitles.trim(), undefined, plan);
+    }
+    return parseSubtitleText(subtitles);
+  }
+
+  if (subtitles && typeof subtitles === 'object') {
+    const format = subtitles.format ? String(subtitles.format).toLowerCase() : undefined;
+    if (subtitles.cues) {
+      return { format: 'json', cues: normalizeCues(subtitles.cues) };
+    }
+    if (subtitles.url) {
+      return remoteSubtitles(subtitles.url, format, plan);
+    }
+    if (subtitles.content) {
+      return parseSubtitleText(String(subtitles.content), format);
+    }
+  }
+
+  throw badRequest('subtitles must be a cue array, subtitle text, a URL, or { url | content | cues }');
+}
+
+// '#RRGGBB', '#RRGGBBAA', 'RRGGBB' or a named colour → ASS &HAABBGGRR
+// (ASS alpha is inverted: 00 is opaque).
+function toAssColor(color) {
+  let hex = String(color || '').trim().toLowerCase();
+  if (NAMED_COLORS[hex]) hex = NAMED_COLORS[hex];
+  hex = hex.replace(/^#|^0x/, '');
+
+  if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+    throw badRequest(`Invalid colour: ${color}`);
+  }
+
+  const [r, g, b] = [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4, 6)];
+  const alpha = hex.length === 8
+    ? (255 - parseInt(hex.slice(6, 8), 16)).toString(16).padStart(2, '0')
+    : '00';
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+// The font name goes into the ASS Style line and the force_style filter
+// option, where commas and newlines would add fields or whole events; keep it
+// to plain characters. Checked when the request comes in, so a bad style fails
+// before anything is downloaded.
+function checkSubtitleStyle(style = {}, field = 'style') {
+  if (style && style.font !== undefined && !/^[\w .-]+$/.test(String(style.font))) {
+    throw badRequest(`${field}.font must be a font family name such as "${DEFAULT_STYLE.font}"`);
+  }
+  return style;
+}
+
+function resolveStyle(style = {}, { width, height }) {
+  checkSubtitleStyle(style);
+  const merged = { ...DEFAULT_STYLE, ...style };
+  const alignment = ALIGNMENTS[String(merged.position).toLowerCase()];
+  if (!alignment) {
+    throw badRequest(`Invalid subtitle position: ${merged.position}`);
+  }
+
+  const safeMargin = Math.min(Math.max(Number(merged.safeMargin) || 0, 0), 40) / 100;
+
+  return {
+    font: merged.font,
+    fontSize: Math.round(Number(merged.fontSize) || height / 20),
+    primaryColor: toAssColor(merged.color),
+    highlightColor: toAssColor(merged.highlightColor),
+    outlineColor: toAssColor(merged.outlineColor),
+    outline: Math.max(Number(merged.outline) || 0, 0),
+    shadow: Math.max(Number(merged.shadow) || 0, 0),
+    bold: merged.bold ? -1 : 0,
+    italic: merged.italic ? -1 : 0,
+    alignment,
+    marginH: Math.round(merged.marginH != null ? Number(merged.marginH) : width * safeMargin),
+    marginV: Math.round(merged.marginV != null ? Number(merged.marginV) : height * safeMargin)
+  };
+}
+
+function formatAssTime(seconds) {
+  const centis = Math.round(Math.max(seconds, 0) * 100);
+  const h = Math.floor(centis / 360000);
+  const m = Math.floor((centis % 360000) / 6000);
+  const s = Math.floor((centis % 6000) / 100);
+  const cs = centis % 100;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+// SRT/VTT inline markup → ASS override tags; anything else is stripped.
+function toAssText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[{}]/g, brace => `\\${brace}`)
+    .replace(/<(\/?)([biu])>/gi, (_, closing, tag) => `{\\${tag.toLowerCase()}${closing ? 0 : 1}}`)
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n/g, '\\N');
+}
+
+// Karaoke cues carry `words` ({ start, end, text }); each word fills with the
+// highlight colour while it is spoken (\kf), silences between words wait (\k)
+function toKaraokeText(cue) {
+  let cursor = cue.start;
+  return cue.words.map((word) => {
+    const gap = Math.round(Math.max(word.start - cursor, 0) * 100);
+    const length = Math.max(Math.round((word.end - Math.max(word.start, cursor)) * 100), 1);
+    cursor = Math.max(word.end, cursor);
+    return `${gap > 0 ? `{\\k${gap}}` : ''}{\\kf${length}}${toAssText(word.text)}`;
+  }).join(' ');
+}
+
+function buildAss(cues, style, { width, height }, { karaoke = false } = {}) {
+  const s = resolveStyle(style, { width, height });
+  // ASS karaoke shows SecondaryColour until a word is reached, PrimaryColour after
+  const [primary, secondary] = karaoke ? [s.highlightColor, s.primaryColor] : [s.primaryColor, s.primaryColor];
+
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${s.font},${s.fontSize},${primary},${secondary},${s.outlineColor},&H80000000,${s.bold},${s.italic},0,0,100,100,0,0,1,${s.outline},${s.shadow},${s.alignment},${s.marginH},${s.marginH},${s.marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const events = cues.map(cue =>
+    `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${karaoke && cue.words ? toKaraokeText(cue) : toAssText(cue.text)}`
+  );
+
+  return [...header, ...events, ''].join('\n');
+}
+
+// HH:MM:SS<separator>mmm
+function formatCueTime(seconds, separator) {
+  const millis = Math.round(Math.max(seconds, 0) * 1000);
+  const h = Math.floor(millis / 3600000);
+  const m = Math.floor((millis % 3600000) / 60000);
+  const s = Math.floor((millis % 60000) / 1000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(millis % 1000).padStart(3, '0')}`;
+}
+
+function buildSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
+
+function buildVtt(cues) {
+  return ['WEBVTT', '', ...cues.map(cue =>
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`
+  )].join('\n');
+}
+
+// Style overrides for user-supplied ASS files, passed to libass as force_style.
+function buildForceStyle(style = {}, dimensions) {
+  if (!style || Object.keys(style).length === 0) return null;
+
+  const s = resolveStyle(style, dimensions);
+  const fields = [];
+  if (style.font) fields.push(`FontName=${s.font}`);
+  if (style.fontSize) fields.push(`FontSize=${s.fontSize}`);
+  if (style.color) fields.push(`PrimaryColour=${s.primaryColor}`);
+  if (style.outlineColor) fields.push(`OutlineColour=${s.outlineColor}`);
+  if (style.outline != null) fields.push(`Outline=${s.outline}`);
+  if (style.shadow != null) fields.push(`Shadow=${s.shadow}`);
+  if (style.position) fields.push(`Alignment=${s.alignment}`);
+  if (style.marginV != null || style.safeMargin != null) fields.push(`MarginV=${s.marginV}`);
+  if (style.marginH != null || style.safeMargin != null) fields.push(`MarginL=${s.marginH}`, `MarginR=${s.marginH}`);
+  return fields.length > 0 ? fields.join(',') : null;
+}
+
+// Quoting protects commas at the filtergraph level; quotes and colons cannot
+// be escaped through both parsing passes, so they are dropped from style values.
+// The ASS path is always one of our own temp files.
+function buildSubtitleFilter(assPath, forceStyle) {
+  let filter = `subtitles=filename=${assPath}`;
+  if (forceStyle) {
+    filter += `:force_style='${forceStyle.replace(/[':]/g, '')}'`;
+  }
+  return filter;
+}
+
+module.exports = {
+  parseTimestamp,
+  detectFormat,
+  resolveSubtitles,
+  checkSubtitleStyle,
+  toAssColor,
+  buildAss,
+  buildSrt,
+  buildVtt,
+  buildForceStyle,
+  buildSubtitleFilter
+};
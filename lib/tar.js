@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { listFiles } = require('./workspace');
+
+// Minimal ustar writer for bundling a directory of outputs (an HLS package)
+// into one file. Regular files only; names are relative to the directory and
+// must fit the 100-byte name field.
+
+const BLOCK = 512;
+
+function octal(value, length) {
+  return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+function header(name, size, mtime) {
+  const block = Buffer.alloc(BLOCK, 0);
+  block.write(name, 0, 100, 'utf8');
+  block.write(octal(0o644, 8), 100);
+  block.write(octal(0, 8), 108); // uid
+  block.write(octal(0, 8), 116); // gid
+  block.write(octal(size, 12), 124);
+  block.write(octal(Math.floor(mtime / 1000), 12), 136);
+  block.fill(' ', 148, 156); // checksum is computed with its own field as spaces
+  block.write('0', 156); // regular file
+  block.write('ustar\0', 257);
+  block.write('00', 263);
+
+  let checksum = 0;
+  for (let i = 0; i < BLOCK; i++) checksum += block[i];
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return block;
+}
+
+// Writes every file under `dir` to the archive at `destPath`
+function writeTar(dir, destPath) {
+  const fd = fs.openSync(destPath, 'w');
+  try {
+    listFiles(dir).sort().forEach(name => {
+      if (Buffer.byteLength(name) > 100) throw new Error(`Path too long for tar: ${name}`);
+      const filePath = path.join(dir, name);
+      const { size, mtimeMs } = fs.statSync(filePath);
+      fs.writeSync(fd, header(name, size, mtimeMs));
+      fs.writeSync(fd, fs.readFileSync(filePath));
+      if (size % BLOCK !== 0) fs.writeSync(fd, Buffer.alloc(BLOCK - (size % BLOCK), 0));
+    });
+    // End of archive: two empty blocks
+    fs.writeSync(fd, Buffer.alloc(BLOCK * 2, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { writeTar };
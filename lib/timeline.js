@@ -0,0 +1,168 @@
+const { badRequest } = require('./errors');
+const { resolveTransition } = require('./transitions');
+const { isStill, resolveKenBurns } = require('./stills');
+
+// Resolves video keyframes into an ordered list of render items:
+//   { type: 'clip', url, still, kenBurns, sourceStart, duration, autoDuration, hold, transition, timelineStart }
+//   { type: 'gap', duration, transition, timelineStart }
+// `hold` is extra time the clip's last frame is frozen for (gapFill: 'freeze');
+// with gapFill: 'black' gaps become their own black segments instead.
+// `transition` is the join into the next item; it overlaps both items, so
+// timelineStart is where each item begins in the rendered output. `still`
+// clips are images held for their duration (see lib/stills.js).
+//
+// A video clip with neither `duration` nor `sourceEnd` plays to the end of its
+// source when `sourceDurations[keyframeIndex]` (probed) is known; until then
+// it gets DEFAULT_CLIP_DURATION and is flagged `autoDuration`.
+
+const DEFAULT_CLIP_DURATION = 5;
+const GAP_FILLS = ['black', 'freeze'];
+
+function optionalNumber(value, field, index) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw badRequest(`keyframes[${index}].${field} must be a non-negative number`);
+  }
+  return number;
+}
+
+function buildTimeline(keyframes, { gapFill = 'black', sourceDurations = {} } = {}) {
+  if (!GAP_FILLS.includes(gapFill)) {
+    throw badRequest(`gapFill must be one of: ${GAP_FILLS.join(', ')}`);
+  }
+
+  const clips = keyframes.map((keyframe, index) => {
+    const timestamp = optionalNumber(keyframe.timestamp, 'timestamp', index);
+    const sourceStart = optionalNumber(keyframe.sourceStart, 'sourceStart', index) || 0;
+    const sourceEnd = optionalNumber(keyframe.sourceEnd, 'sourceEnd', index);
+    let duration = optionalNumber(keyframe.duration, 'duration', index);
+
+    if (sourceEnd !== undefined && sourceEnd <= sourceStart) {
+      throw badRequest(`keyframes[${index}].sourceEnd must be greater than sourceStart`);
+    }
+
+    const still = isStill(keyframe);
+
+    // An explicit duration wins but never reads past the trim-out point
+    const trimmed = sourceEnd !== undefined ? sourceEnd - sourceStart : undefined;
+    const remaining = still ? undefined : sourceDurations[index] - sourceStart;
+    let autoDuration = false;
+    if (duration === undefined) {
+      if (trimmed !== undefined) {
+        duration = trimmed;
+      } else if (remaining > 0) {
+        duration = remaining;
+      } else {
+        duration = DEFAULT_CLIP_DURATION;
+        autoDuration = !still;
+      }
+    } else if (trimmed !== undefined) {
+      duration = Math.min(duration, trimmed);
+    }
+
+    if (duration <= 0) {
+      throw badRequest(`keyframes[${index}].duration must be greater than 0`);
+    }
+
+    const transition = resolveTransition(keyframe.transition, index);
+    const kenBurns = resolveKenBurns(keyframe.kenBurns, index);
+    if (kenBurns && !still) {
+      throw badRequest(`keyframes[${index}].kenBurns only applies to still images`);
+    }
+
+    return { index, url: keyframe.url, still, kenBurns, timestamp, sourceStart, duration, autoDuration, transition };
+  });
+
+  // Keyframes without a timestamp follow the previous one; stable sort keeps
+  // the request order for clips sharing a start time
+  let cursor = 0;
+  clips.forEach(clip => {
+    if (clip.timestamp === undefined) clip.timestamp = cursor;
+    cursor = clip.timestamp + clip.duration;
+  });
+  clips.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+
+  const items = [];
+  let end = 0;
+
+  clips.forEach((clip, position) => {
+    const next = clips[position + 1];
+    // A later clip cuts into an overlapping earlier one
+    const duration = next ? Math.min(clip.duration, next.timestamp - clip.timestamp) : clip.duration;
+    if (duration <= 0) return;
+
+    const gap = clip.timestamp - end;
+    if (gap > 0) {
+      const previous = items[items.length - 1];
+      if (gapFill === 'freeze' && previous && previous.type === 'clip') {
+        previous.hold += gap;
+      } else {
+        items.push({ type: 'gap', duration: gap, transition: null, timelineStart: end });
+      }
+    }
+
+    items.push({
+      type: 'clip',
+      keyframeIndex: clip.index,
+      url: clip.url,
+      still: clip.still,
+      kenBurns: clip.kenBurns,
+      sourceStart: clip.sourceStart,
+      duration,
+      autoDuration: clip.autoDuration,
+      hold: 0,
+      transition: clip.transition,
+      timelineStart: clip.timestamp
+    });
+    end = clip.timestamp + duration;
+  });
+
+  applyTransitions(items);
+  return items;
+}
+
+const itemLength = item => item.duration + (item.hold || 0);
+
+// Clamp each transition so it fits inside both items it joins (after the
+// previous transition has taken its share), then lay items out with overlaps.
+function applyTransitions(items) {
+  let incoming = 0;
+  let cursor = 0;
+
+  items.forEach((item, index) => {
+    const next = items[index + 1];
+    if (item.transition) {
+      const limit = next ? Math.min(itemLength(item) - incoming, itemLength(next)) : 0;
+      item.transition = limit > 0
+        ? { ...item.transition, duration: Math.min(item.transition.duration, limit) }
+        : null;
+    }
+
+    item.timelineStart = cursor;
+    incoming = item.transition ? item.transition.duration : 0;
+    cursor += itemLength(item) - incoming;
+  });
+}
+
+// Render items in the groups sequenceClips prepares and joins together
+function splitBatches(items, batchSize) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+function timelineDuration(items) {
+  return items.reduce((total, item) =>
+    total + itemLength(item) - (item.transition ? item.transition.duration : 0), 0);
+}
+
+module.exports = {
+  DEFAULT_CLIP_DURATION,
+  GAP_FILLS,
+  buildTimeline,
+  splitBatches,
+  timelineDuration
+};
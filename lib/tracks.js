@@ -0,0 +1,82 @@
+const { badRequest } = require('./errors');
+const { collectAudioClips } = require('./audio');
+const { collectOverlays } = require('./overlays');
+const { resolveSubtitles, checkSubtitleStyle } = require('./subtitles');
+const { resolveTranscribeOptions } = require('./transcribe');
+
+// Splits a full `tracks` document into what each render stage consumes:
+//   video    → keyframes for the sequenced base video (first video track);
+//              image URLs become still clips
+//   audio    → clips for the audio mix
+//   captions → subtitle tracks burned in by libass
+//   image    → logos / watermarks composited over the video
+//   text     → lower thirds / title cards drawn over the video
+
+const TRACK_TYPES = ['video', 'audio', 'captions', 'subtitles', 'image', 'text'];
+
+// A caption track carries either its own cue keyframes
+// ({ timestamp, duration, text }), a `subtitles` source accepted by
+// resolveSubtitles (cue array, SRT/VTT/ASS text, URL), or `transcribe`
+// (lib/transcribe.js) to caption the speech once the render has it.
+async function resolveCaptionTrack(track, trackIndex, { plan }) {
+  const style = checkSubtitleStyle(track.style || {}, `tracks[${trackIndex}].style`);
+  if (track.transcribe) {
+    return { format: 'transcript', transcribe: resolveTranscribeOptions(track.transcribe), style };
+  }
+
+  let source = track.subtitles;
+
+  if (!source) {
+    if (!Array.isArray(track.keyframes)) {
+      throw badRequest(`tracks[${trackIndex}] needs keyframes or a subtitles source`);
+    }
+    source = track.keyframes.map((keyframe, keyframeIndex) => {
+      const start = Number(keyframe.timestamp);
+      const duration = Number(keyframe.duration);
+      if (!Number.isFinite(start) || !Number.isFinite(duration)) {
+        throw badRequest(`tracks[${trackIndex}].keyframes[${keyframeIndex}] needs numeric timestamp and duration`);
+      }
+      return { start, end: start + duration, text: keyframe.text };
+    });
+  }
+
+  const resolved = await resolveSubtitles(source, { plan });
+  return { ...resolved, style };
+}
+
+// With `plan` (POST /api/plan) subtitle URLs are checked but not downloaded
+async function parseTracks(tracks, { plan = false } = {}) {
+  if (!Array.isArray(tracks)) {
+    throw badRequest('tracks must be an array');
+  }
+
+  tracks.forEach((track, index) => {
+    if (!track || !TRACK_TYPES.includes(track.type)) {
+      throw badRequest(`tracks[${index}].type must be one of: ${TRACK_TYPES.join(', ')}`);
+    }
+  });
+
+  const videoTrack = tracks.find(track => track.type === 'video');
+
+  const captions = [];
+  for (let i = 0; i < tracks.length; i++) {
+    if (tracks[i].type === 'captions' || tracks[i].type === 'subtitles') {
+      captions.push(await resolveCaptionTrack(tracks[i], i, { plan }));
+    }
+  }
+  if (captions.filter(caption => caption.transcribe).length > 1) {
+    throw badRequest('Only one caption track per render can use transcribe');
+  }
+
+  return {
+    videoKeyframes: videoTrack && Array.isArray(videoTrack.keyframes) ? videoTrack.keyframes : [],
+    audioClips: collectAudioClips(tracks),
+    captions,
+    overlays: collectOverlays(tracks)
+  };
+}
+
+module.exports = {
+  TRACK_TYPES,
+  parseTracks
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { badRequest, httpError } = require('./errors');
+const { currentSignal } = require('./queue');
+
+// Offline speech-to-text for automatic captions. Runs the whisper.cpp CLI
+// locally on a 16 kHz mono WAV the pipeline extracts; nothing leaves the
+// machine. It is on when WHISPER_MODEL points at a ggml model file:
+//
+//   WHISPER_CPP_PATH      the whisper.cpp binary (default "whisper-cli")
+//   WHISPER_MODEL         e.g. /models/ggml-base.en.bin
+//   WHISPER_THREADS       threads per transcription (default: up to 4 cores)
+//   TRANSCRIBE_TIMEOUT_MS per file (default 15 minutes)
+//
+// whisper.cpp is asked for one segment per word (-ml 1 -sow), so every word
+// comes back with its own timing. Words are grouped into caption cues here;
+// cues keep their words for karaoke highlighting.
+//
+// `transcribe` in a request is `true` or:
+//   { language: 'auto' | 'en' | ..., source: 'video' | 'audio', karaoke,
+//     maxCharsPerCue, maxCueDuration }
+// source 'video' listens to the video's own soundtrack, 'audio' to the
+// voiceover clips of the audio tracks (all audio clips if none is a voiceover).
+
+const WHISPER_CPP_PATH = process.env.WHISPER_CPP_PATH || 'whisper-cli';
+const WHISPER_MODEL = process.env.WHISPER_MODEL || null;
+const WHISPER_THREADS = parseInt(process.env.WHISPER_THREADS, 10) || Math.max(1, Math.min(4, os.cpus().length));
+const TRANSCRIBE_TIMEOUT_MS = parseInt(process.env.TRANSCRIBE_TIMEOUT_MS, 10) || 15 * 60 * 1000;
+const TRANSCRIPTION_ENABLED = Boolean(WHISPER_MODEL);
+
+const TRANSCRIBE_SOURCES = ['video', 'audio'];
+const DEFAULTS = { language: 'auto', karaoke: false, maxCharsPerCue: 42, maxCueDuration: 5 };
+
+// A pause this long (seconds) always starts a new cue
+const CUE_BREAK_GAP = 0.8;
+// Non-speech markers whisper emits: [BLANK_AUDIO], [Music], (laughs)
+const NON_SPEECH = /^(\[[^\]]*\]|\([^)]*\)|\*[^*]*\*)$/;
+
+function numberOption(value, field, { min, max, fallback }) {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// `value` as given in the request; null when no transcription was asked for
+function resolveTranscribeOptions(value, { defaultSource = 'video' } = {}) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && typeof value !== 'object') {
+    throw badRequest('transcribe must be true or an object');
+  }
+  if (!TRANSCRIPTION_ENABLED) {
+    const error = httpError(501, 'Transcription is not configured on this server (WHISPER_MODEL is not set)');
+    error.reason = 'transcription_unavailable';
+    throw error;
+  }
+
+  const options = value === true ? {} : value;
+  const language = String(options.language || DEFAULTS.language).toLowerCase();
+  if (!/^(auto|[a-z]{2,3})$/.test(language)) {
+    throw badRequest('transcribe.language must be "auto" or a language code such as "en"');
+  }
+  const source = options.source || defaultSource;
+  if (!TRANSCRIBE_SOURCES.includes(source)) {
+    throw badRequest(`transcribe.source must be one of: ${TRANSCRIBE_SOURCES.join(', ')}`);
+  }
+
+  return {
+    language,
+    source,
+    karaoke: options.karaoke === true,
+    maxCharsPerCue: Math.round(numberOption(options.maxCharsPerCue, 'transcribe.maxCharsPerCue', { min: 10, max: 120, fallback: DEFAULTS.maxCharsPerCue })),
+    maxCueDuration: numberOption(options.maxCueDuration, 'transcribe.maxCueDuration', { min: 1, max: 15, fallback: DEFAULTS.maxCueDuration })
+  };
+}
+
+// Runs whisper.cpp on `wavPath` and resolves its JSON output. Killed with the
+// render it belongs to, or after TRANSCRIBE_TIMEOUT_MS.
+function runWhisper(wavPath, { language }) {
+  const outputBase = wavPath.replace(/\.wav$/, '');
+  const args = [
+    '-m', WHISPER_MODEL,
+    '-f', wavPath,
+    '-l', language,
+    '-t', String(WHISPER_THREADS),
+    '-ml', '1', '-sow',
+    '-oj', '-of', outputBase,
+    '-np'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(WHISPER_CPP_PATH, args, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      signal: currentSignal() || undefined,
+      timeout: TRANSCRIBE_TIMEOUT_MS,
+      killSignal: 'SIGKILL'
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        reject(httpError(500, `whisper.cpp binary not found (${WHISPER_CPP_PATH}); set WHISPER_CPP_PATH`));
+        return;
+      }
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      if (code !== 0) {
+        const error = httpError(500, signal === 'SIGKILL'
+          ? `Transcription timed out after ${Math.round(TRANSCRIBE_TIMEOUT_MS / 1000)}s`
+          : `Transcription failed (exit ${code}): ${stderr.trim().split('\n').pop() || 'no output'}`);
+        error.reason = 'transcription_failed';
+        reject(error);
+        return;
+      }
+      try {
+        const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+        resolve(output);
+      } catch (e) {
+        reject(httpError(500, `Could not read the transcription: ${e.message}`));
+      } finally {
+        try { fs.unlinkSync(`${outputBase}.json`); } catch (e) {}
+      }
+    });
+  });
+}
+
+// whisper.cpp segments (one per word) → [{ start, end, text }] in seconds,
+// shifted by `offset` and kept within [from, to) when given
+function wordsFromWhisper(output, { offset = 0, from = 0, to = Infinity } = {}) {
+  return (output.transcription || [])
+    .map(segment => ({
+      start: segment.offsets.from / 1000 + offset,
+      end: segment.offsets.to / 1000 + offset,
+      text: segment.text.trim()
+    }))
+    .filter(word => word.text && !NON_SPEECH.test(word.text) && word.end > word.start)
+    .filter(word => word.start >= from && word.start < to)
+    .map(word => ({ ...word, end: Math.min(word.end, to) }));
+}
+
+// Words → caption cues of at most maxCharsPerCue characters and
+// maxCueDuration seconds, breaking early at sentence ends and pauses
+function groupCues(words, { maxCharsPerCue, maxCueDuration }) {
+  const cues = [];
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    cues.push({
+      start: current.words[0].start,
+      end: current.words[current.words.length - 1].end,
+      text: current.words.map(word => word.text).join(' '),
+      words: current.words
+    });
+    current = null;
+  };
+
+  [...words].sort((a, b) => a.start - b.start).forEach((word) => {
+    if (current) {
+      const last = current.words[current.words.length - 1];
+      const length = current.words.reduce((total, entry) => total + entry.text.length + 1, 0) + word.text.length;
+      if (length > maxCharsPerCue ||
+        word.end - current.words[0].start > maxCueDuration ||
+        word.start - last.end > CUE_BREAK_GAP ||
+        /[.?!…]["')\]]?$/.test(last.text)) {
+        close();
+      }
+    }
+    if (!current) current = { words: [] };
+    current.words.push(word);
+  });
+  close();
+
+  return cues;
+}
+
+// One-line summary for the startup log
+function describeTranscription() {
+  if (!TRANSCRIPTION_ENABLED) return 'off (set WHISPER_MODEL to a whisper.cpp ggml model)';
+  return `whisper.cpp ${path.basename(WHISPER_MODEL)} (${WHISPER_THREADS} threads)`;
+}
+
+module.exports = {
+  TRANSCRIPTION_ENABLED,
+  WHISPER_MODEL,
+  resolveTranscribeOptions,
+  runWhisper,
+  wordsFromWhisper,
+  groupCues,
+  describeTranscription
+};
@@ -0,0 +1,86 @@
+const { badRequest } = require('./errors');
+
+// Transitions between sequenced segments. A keyframe's `transition` describes
+// the join into the *next* segment: the two overlap by `duration` seconds, so
+// every transition shortens the timeline by its duration.
+
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+// Request name → ffmpeg xfade transition
+const TRANSITIONS = {
+  crossfade: 'fade',
+  dissolve: 'dissolve',
+  'fade-to-black': 'fadeblack',
+  'fade-to-white': 'fadewhite',
+  'slide-left': 'slideleft',
+  'slide-right': 'slideright',
+  'slide-up': 'slideup',
+  'slide-down': 'slidedown',
+  'wipe-left': 'wipeleft',
+  'wipe-right': 'wiperight',
+  'wipe-up': 'wipeup',
+  'wipe-down': 'wipedown'
+};
+
+// `transition` may be a type name or { type, duration }. 'cut' / 'none' are
+// hard cuts, same as leaving it out.
+function resolveTransition(spec, index) {
+  if (spec === undefined || spec === null) return null;
+
+  const { type, duration = DEFAULT_TRANSITION_DURATION } = typeof spec === 'string' ? { type: spec } : spec;
+  if (type === 'cut' || type === 'none') return null;
+
+  if (!TRANSITIONS[type]) {
+    throw badRequest(`keyframes[${index}].transition.type must be one of: cut, ${Object.keys(TRANSITIONS).join(', ')}`);
+  }
+
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw badRequest(`keyframes[${index}].transition.duration must be a positive number`);
+  }
+
+  return { type, xfade: TRANSITIONS[type], duration: seconds };
+}
+
+// Filter graph joining `inputs` ([{ duration }], one ffmpeg input each, in
+// order) where joins[i] is the transition between inputs i and i+1 or null for
+// a hard cut. Every input must have one video and one audio stream encoded
+// with the same output profile.
+function buildJoinGraph(inputs, joins, { fps, sampleRate }) {
+  const filters = inputs.map((input, i) => [
+    `[${i}:v]fps=${fps},settb=AVTB,setpts=PTS-STARTPTS[v${i}]`,
+    `[${i}:a]aresample=${sampleRate},asetpts=PTS-STARTPTS[a${i}]`
+  ].join(';'));
+
+  let video = 'v0';
+  let audio = 'a0';
+  let elapsed = inputs[0].duration;
+
+  for (let i = 1; i < inputs.length; i++) {
+    const transition = joins[i - 1];
+    const nextVideo = `vj${i}`;
+    const nextAudio = `aj${i}`;
+
+    if (transition) {
+      const offset = Math.max(elapsed - transition.duration, 0);
+      filters.push(`[${video}][v${i}]xfade=transition=${transition.xfade}:duration=${transition.duration}:offset=${offset.toFixed(3)}[${nextVideo}]`);
+      filters.push(`[${audio}][a${i}]acrossfade=d=${transition.duration}[${nextAudio}]`);
+      elapsed += inputs[i].duration - transition.duration;
+    } else {
+      filters.push(`[${video}][${audio}][v${i}][a${i}]concat=n=2:v=1:a=1[${nextVideo}][${nextAudio}]`);
+      elapsed += inputs[i].duration;
+    }
+
+    video = nextVideo;
+    audio = nextAudio;
+  }
+
+  return { filter: filters.join(';'), video, audio, duration: elapsed };
+}
+
+module.exports = {
+  TRANSITIONS,
+  DEFAULT_TRANSITION_DURATION,
+  resolveTransition,
+  buildJoinGraph
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const busboy = require('busboy');
+const { badRequest, httpError } = require('./errors');
+
+// multipart/form-data render requests. The JSON body goes in a `payload` field,
+// the only body source: any other plain field is refused, since its value
+// would arrive as a string (async=true as "true") and quietly change what the
+// request means. Every file part is streamed into the request's workspace and
+// can be used anywhere a media URL is accepted as `upload:<field name>` or
+// `upload:<file name>`.
+
+const MAX_FILES = 50;
+// busboy would otherwise cut a larger payload at its 1 MB default, silently
+const PAYLOAD_MAX_BYTES = parseInt(process.env.PAYLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Uploaded files keep a sanitised extension so ffmpeg's demuxer probing (and
+// the image2 demuxer for stills) sees what it expects
+function safeExtension(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  return /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+}
+
+function parseMultipart(req, workspace, { maxBytes }) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { fileSize: maxBytes, files: MAX_FILES, fieldSize: PAYLOAD_MAX_BYTES } });
+    } catch (error) {
+      return reject(badRequest(`Invalid multipart body: ${error.message}`));
+    }
+
+    const uploads = {};
+    const writes = [];
+    let payload = null;
+    let failure = null;
+    let fileCount = 0;
+
+    parser.on('file', (field, stream, info) => {
+      const upload = {
+        field,
+        filename: info.filename || field,
+        mimeType: info.mimeType,
+        path: workspace.file(`upload_${fileCount++}${safeExtension(info.filename)}`),
+        bytes: 0
+      };
+      uploads[field] = upload;
+
+      stream.on('data', chunk => { upload.bytes += chunk.length; });
+      stream.on('limit', () => {
+        failure = httpError(413, `Upload "${field}" exceeds the ${(maxBytes / 1024 / 1024).toFixed(2)} MB limit`);
+      });
+      writes.push(new Promise((done, fail) => {
+        stream.pipe(fs.createWriteStream(upload.path)).on('finish', done).on('error', fail);
+      }));
+    });
+
+    parser.on('field', (name, value, info) => {
+      if (name !== 'payload') {
+        if (!failure) failure = badRequest(`Unexpected form field "${name}": put request options in the JSON payload field`);
+      } else if (info.valueTruncated) {
+        failure = httpError(413, `payload field exceeds the ${(PAYLOAD_MAX_BYTES / 1024 / 1024).toFixed(2)} MB limit`);
+      } else {
+        payload = value;
+      }
+    });
+
+    parser.on('filesLimit', () => {
+      failure = httpError(413, `At most ${MAX_FILES} files can be uploaded per request`);
+    });
+
+    parser.on('error', error => reject(badRequest(`Invalid multipart body: ${error.message}`)));
+
+    parser.on('close', () => {
+      Promise.all(writes).then(() => {
+        if (failure) throw failure;
+
+        let body = {};
+        if (payload !== null) {
+          try {
+            body = JSON.parse(payload);
+          } catch (error) {
+            throw badRequest(`payload field must be JSON: ${error.message}`);
+          }
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw badRequest('payload field must be a JSON object');
+          }
+        }
+
+        resolve({ body, uploads });
+      }).catch(reject);
+    });
+
+    req.pipe(parser);
+  });
+}
+
+// Looks up `upload:<name>` by field name first, then by original file name
+function findUpload(uploads, name) {
+  if (!uploads) return null;
+  return uploads[name] || Object.values(uploads).find(upload => upload.filename === name) || null;
+}
+
+module.exports = {
+  MAX_FILES,
+  parseMultipart,
+  findUpload
+};
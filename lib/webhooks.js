@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { badRequest } = require('./errors');
+const { JOB_TTL_MS } = require('./jobs');
+const { checkUrl, guardedAgent } = require('./remote');
+
+// Completion callbacks for async jobs. A render started with `callbackUrl`
+// gets one POST when its job completes, fails or is cancelled, carrying the
+// same fields the endpoint would have returned plus an absolute `resultUrl`
+// instead of base64.
+//
+// With a secret (`callbackSecret`, or WEBHOOK_SECRET for every job) requests
+// are signed: X-Webhook-Signature is "sha256=" + the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>". Every attempt is kept on the job's
+// delivery log (GET /api/jobs/:id/webhooks).
+//
+// Callback URLs go through the fetch policy of lib/remote.js: private and
+// reserved addresses are refused when the job is submitted and again when the
+// host is resolved for each attempt, and redirects are not followed. The log
+// only says whether an attempt was blocked or failed, never the connection
+// error, so it can't be used to probe internal hosts.
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const ATTEMPT_TIMEOUT_MS = 10000;
+const RETRY_BACKOFF_MS = 1000;
+
+// Deliveries in progress, so a shutdown can wait for them
+const pending = new Set();
+
+function resolveCallback(body) {
+  const { callbackUrl, callbackSecret } = body;
+  if (callbackUrl === undefined || callbackUrl === null) return null;
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    throw badRequest('callbackUrl must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw badRequest('callbackUrl must be an absolute http(s) URL');
+  }
+  checkUrl(url.toString());
+  if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || callbackSecret === '')) {
+    throw badRequest('callbackSecret must be a non-empty string');
+  }
+
+  return {
+    url: url.toString(),
+    secret: callbackSecret || process.env.WEBHOOK_SECRET || null
+  };
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function buildPayload(job, baseUrl) {
+  const completed = job.status === 'completed';
+  return {
+    event: `job.${job.status}`, // job.completed, job.failed or job.cancelled
+    success: completed,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    ...(completed ? job.result : {}),
+    resultUrl: completed ? `${baseUrl}/api/jobs/${job.id}/result` : null,
+    expiresAt: completed ? new Date(Date.parse(job.finishedAt) + JOB_TTL_MS).toISOString() : null,
+    error: job.error,
+    errorDetails: job.errorDetails,
+    reason: job.reason,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Retry connection errors, timeouts, 408, 429 and 5xx; any other answer from
+// the receiver (redirects included) and a blocked address are final
+const retryable = status => !status || status === 408 || status === 429 || status >= 500;
+
+async function attemptDelivery(callback, body, deliveryId) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'video-sequencer-webhooks',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': timestamp
+  };
+  if (callback.secret) {
+    headers['X-Webhook-Signature'] = signPayload(callback.secret, timestamp, body);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ATTEMPT_TIMEOUT_MS);
+  const state = { blocked: null };
+  try {
+    const parsed = checkUrl(callback.url);
+    const response = await fetch(parsed.toString(), {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal,
+      redirect: 'manual',
+      agent: guardedAgent(parsed, state)
+    });
+    response.body.resume();
+    return { status: response.status, ok: response.ok, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    const blocked = Boolean(state.blocked || error.reason);
+    // The connection error stays in the server log, not the delivery log
+    return { status: null, ok: false, blocked, error: blocked ? 'Blocked by the fetch policy' : 'Delivery failed', detail: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// The delivery log lives on the job from the start, so a running job already
+// shows its pending callback
+function attachWebhook(job, callback) {
+  job.webhook = {
+    url: callback.url,
+    signed: Boolean(callback.secret),
+    status: 'pending',
+    deliveries: []
+  };
+}
+
+async function deliver(job, callback, { baseUrl }) {
+  const { webhook } = job;
+  const body = JSON.stringify(buildPayload(job, baseUrl));
+  const deliveryId = crypto.randomUUID();
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const startTime = Date.now();
+    const outcome = await attemptDelivery(callback, body, deliveryId);
+    webhook.deliveries.push({
+      attempt,
+      at: new Date(startTime).toISOString(),
+      responseStatus: outcome.status,
+      ok: outcome.ok,
+      error: outcome.error,
+      durationMs: Date.now() - startTime
+    });
+
+    if (outcome.ok) {
+      webhook.status = 'delivered';
+      console.log(`📨 [WEBHOOK] Job ${job.id} delivered to ${callback.url} (attempt ${attempt})`);
+      return;
+    }
+    if (outcome.blocked || !retryable(outcome.status) || attempt === MAX_ATTEMPTS) break;
+
+    const delay = RETRY_BACKOFF_MS * 2 ** (attempt - 1);
+    console.log(`🔁 [WEBHOOK] Job ${job.id}: ${outcome.detail || outcome.error} - retrying in ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  webhook.status = 'failed';
+  console.error(`❌ [WEBHOOK] Job ${job.id} could not be delivered to ${callback.url}`);
+}
+
+// Delivers the finished job to its callback, recording every attempt on
+// `job.webhook`. Never rejects: a receiver that is down doesn't affect the job.
+function deliverJobWebhook(job, callback, options) {
+  const delivery = deliver(job, callback, options).finally(() => pending.delete(delivery));
+  pending.add(delivery);
+  return delivery;
+}
+
+// Resolves true once the deliveries in progress are done (retries included),
+// false if `timeoutMs` passes first
+function settleWebhooks(timeoutMs) {
+  if (pending.size === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    Promise.all([...pending]).then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+module.exports = {
+  resolveCallback,
+  signPayload,
+  attachWebhook,
+  deliverJobWebhook,
+  settleWebhooks
+};
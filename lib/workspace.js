@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every request or job renders inside its own directory under WORKSPACE_ROOT,
+// so overlapping renders never share file names and a single recursive delete
+// cleans up everything a render wrote, whichever step it failed in.
+//
+// Directory names start with the owning process id. sweepStaleWorkspaces runs
+// once at startup and removes directories whose process is gone (crashed or
+// killed instances) or that are older than STALE_WORKSPACE_MS;
+// removeOwnWorkspaces clears this process's on shutdown.
+
+const WORKSPACE_ROOT = process.env.WORKSPACE_ROOT || path.join(os.tmpdir(), 'video-sequencer');
+const STALE_WORKSPACE_MS = parseInt(process.env.STALE_WORKSPACE_MS, 10) || 6 * 60 * 60 * 1000; // 6 hours
+
+function createWorkspace(label = 'render') {
+  fs.mkdirSync(WORKSPACE_ROOT, { recursive: true });
+  const dir = fs.mkdtempSync(path.join(WORKSPACE_ROOT, `${process.pid}-${label}-`));
+
+  return {
+    dir,
+    file: name => path.join(dir, name),
+    remove: () => removeWorkspace(dir)
+  };
+}
+
+function removeWorkspace(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {}
+}
+
+// Paths of every file under `dir`, relative to it, with forward slashes
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: the process exists but belongs to someone else
+    return e.code === 'EPERM';
+  }
+}
+
+function sweepStaleWorkspaces() {
+  let entries;
+  try {
+    entries = fs.readdirSync(WORKSPACE_ROOT, { withFileTypes: true });
+  } catch (e) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - STALE_WORKSPACE_MS;
+  let removed = 0;
+
+  entries.filter(entry => entry.isDirectory()).forEach(entry => {
+    const dir = path.join(WORKSPACE_ROOT, entry.name);
+    // Runs before this process creates any workspace, so a directory carrying
+    // our own pid is from an earlier run (containers often reuse pid 1)
+    const pid = parseInt(entry.name, 10);
+    const ownedByLiveProcess = Boolean(pid) && pid !== process.pid && processAlive(pid);
+
+    let modified = 0;
+    try { modified = fs.statSync(dir).mtimeMs; } catch (e) {}
+
+    if (!ownedByLiveProcess || modified < cutoff) {
+      removeWorkspace(dir);
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+// Returns how many were removed
+function removeOwnWorkspaces() {
+  let entries;
+  try {
+    entries = fs.readdirSync(WORKSPACE_ROOT, { withFileTypes: true });
+  } catch (e) {
+    return 0;
+  }
+
+  const own = entries.filter(entry => entry.isDirectory() && entry.name.startsWith(`${process.pid}-`));
+  own.forEach(entry => removeWorkspace(path.join(WORKSPACE_ROOT, entry.name)));
+  return own.length;
+}
+
+module.exports = {
+  WORKSPACE_ROOT,
+  createWorkspace,
+  removeWorkspace,
+  sweepStaleWorkspaces,
+  removeOwnWorkspaces,
+  listFiles
+};
@@ -3,519 +3,452 @@ process.env.RAILWAY_DEPLOYMENT_DRAINING_SECONDS = '120'; // 2 minutes before SIG
 
 const express = require('express');
 const cors = require('cors');
-const ffmpeg = require('fluent-ffmpeg');
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const { inspectMedia } = require('./lib/probe');
+const { resolvePreviewOptions } = require('./lib/previews');
+const { resolveIngestOptions, downloadMedia, describeInput } = require('./lib/ingest');
+const { CACHE_DIR, CACHE_ENABLED, cacheStats } = require('./lib/cache');
+const { createWorkspace, sweepStaleWorkspaces } = require('./lib/workspace');
+const { describeFetchPolicy } = require('./lib/remote');
+const { SEGMENT_CONCURRENCY, queueStats } = require('./lib/queue');
+const { AUTH_ENABLED, authenticate, describeApiKey } = require('./lib/auth');
+const { STORAGE_BACKEND, getLocalFile } = require('./lib/storage');
+const { TIMELINE_SCHEMA } = require('./lib/schema');
+const { installConsoleLogger, requestContext, describeLogging } = require('./lib/logger');
+const { observeRequests, renderMetrics } = require('./lib/metrics');
+const { readiness } = require('./lib/health');
+const { installShutdownHandlers, describeShutdown } = require('./lib/shutdown');
+const { version } = require('./package.json');
+const { getJob, serializeJob, removeJob } = require('./lib/jobs');
+const { TRANSCRIPTION_ENABLED, describeTranscription } = require('./lib/transcribe');
+const { renderPreview } = require('./lib/pipeline');
+const { prepareRender, planRender } = require('./lib/engine');
+const { requester, renderOptions, acceptUploads, dispatchRender } = require('./lib/dispatch');
+
+// Log lines go out as JSON with the request / job id they belong to
+installConsoleLogger();
 
 // Initialize Express app
 const app = express();
 
 // Middleware
+app.use(requestContext);
+app.use(observeRequests);
 app.use(cors());
 app.use(express.json({ limit: '100mb' }));
 
-// Health check endpoint
+// API keys, rate limits and usage for everything under /api (lib/auth.js)
+app.use('/api', authenticate);
+
+// Service summary; /healthz and /readyz are the health checks
 app.get('/', (req, res) => {
-  res.json({ 
+  res.json({
     status: 'Video Sequencer API is running!',
-    version: '2.9.4 - WORKING SUBTITLES WITH VIDEO SEQUENCING PATTERN',
+    version,
     endpoints: {
+      render: 'POST /api/render',
       sequence: 'POST /api/sequence-videos',
-      audio: 'POST /api/add-audio', 
-      subtitles: 'POST /api/add-subtitles'
+      audio: 'POST /api/add-audio',
+      subtitles: 'POST /api/add-subtitles',
+      probe: 'POST /api/probe',
+      preview: 'POST /api/preview',
+      plan: 'POST /api/plan',
+      schema: 'GET /api/schema',
+      jobStatus: 'GET /api/jobs/:id',
+      jobResult: 'GET /api/jobs/:id/result',
+      jobCancel: 'DELETE /api/jobs/:id',
+      jobWebhooks: 'GET /api/jobs/:id/webhooks',
+      usage: 'GET /api/usage',
+      files: 'GET /files/:id',
+      liveness: 'GET /healthz',
+      readiness: 'GET /readyz',
+      metrics: 'GET /metrics'
     },
+    auth: AUTH_ENABLED ? 'api-key' : 'none',
+    queue: queueStats(),
+    segmentCache: cacheStats(),
+    transcription: TRANSCRIPTION_ENABLED,
+    storage: STORAGE_BACKEND,
     timestamp: new Date().toISOString()
   });
 });
 
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', version, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: ffmpeg/ffprobe run, the temp disk has room and the render queue
+// takes more work (lib/health.js); 503 otherwise, and while shutting down
+app.get('/readyz', async (req, res) => {
+  const { ready, checks } = await readiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', version, checks });
+});
+
+// Prometheus metrics (lib/metrics.js). With METRICS_TOKEN set, scrapers send
+// it as a bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, error: 'Metrics require the METRICS_TOKEN bearer token' });
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// Render endpoints. The body is checked and turned into a render by
+// lib/engine.js, the same engine the Vercel function and the CLI use;
+// dispatchRender (lib/dispatch.js) queues it and delivers the output.
+
+// ENDPOINT 0: FULL TIMELINE RENDER (VIDEO + AUDIO + CAPTIONS + IMAGE/TEXT TRACKS)
+app.post('/api/render', acceptUploads, async (req, res) => {
+  console.log('🎞️ [RENDER] Received full timeline render request');
+
+  try {
+    await dispatchRender(req, res, await prepareRender('render', req.body, renderOptions(req)));
+  } catch (error) {
+    console.error('💥 [RENDER] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      reason: error.reason,
+      details: error.details
+    });
+  }
+});
+
 // ENDPOINT 1: SEQUENCE MULTIPLE VIDEOS (FIXED BATCH PROCESSING)
-app.post('/api/sequence-videos', async (req, res) => {
-  const startTime = Date.now();
+app.post('/api/sequence-videos', acceptUploads, async (req, res) => {
   console.log('🎬 [SEQUENCE] Received video sequencing request - FIXED BATCH VERSION');
-  
+
   try {
-    const { videoUrls, tracks, batchSize = 3 } = req.body; // Smaller batches
-    
-    let timeline = [];
-    
-    if (tracks && tracks.length > 0) {
-      const videoTrack = tracks.find(track => track.type === 'video');
-      if (videoTrack && videoTrack.keyframes) {
-        timeline = videoTrack.keyframes;
-      }
-    } else if (videoUrls) {
-      timeline = videoUrls.map((video, index) => ({
-        url: video.mp4_url || video,
-        timestamp: index * 5,
-        duration: 5
-      }));
-    } else {
+    await dispatchRender(req, res, await prepareRender('sequence', req.body, renderOptions(req)));
+  } catch (error) {
+    console.error('💥 [SEQUENCE] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      reason: error.reason,
+      details: error.details
+    });
+  }
+});
+
+// ENDPOINT 2: MIX AUDIO TRACKS ONTO A SINGLE VIDEO
+app.post('/api/add-audio', acceptUploads, async (req, res) => {
+  console.log('🎵 [AUDIO] Received audio overlay request');
+
+  try {
+    await dispatchRender(req, res, await prepareRender('audio', req.body, renderOptions(req)));
+  } catch (error) {
+    console.error('💥 [AUDIO] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      reason: error.reason,
+      details: error.details
+    });
+  }
+});
+
+// ENDPOINT 3: BURN SUBTITLES INTO A VIDEO (SRT / VTT / ASS / JSON CUES)
+app.post('/api/add-subtitles', acceptUploads, async (req, res) => {
+  console.log('📝 [SUBTITLES] Received subtitle burn-in request');
+
+  try {
+    await dispatchRender(req, res, await prepareRender('subtitles', req.body, renderOptions(req)));
+  } catch (error) {
+    console.error('💥 [SUBTITLES] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      reason: error.reason,
+      details: error.details
+    });
+  }
+});
+
+// ENDPOINT 4: PROBE MEDIA (CONTAINER, CODECS, DURATION, RESOLUTION, FPS, ROTATION, AUDIO)
+// Takes `url` or up to MAX_PROBE_URLS `urls`, any input a render accepts
+// (http(s), data:, upload:, job:). Each file is downloaded under the usual
+// limits, probed and deleted.
+const MAX_PROBE_URLS = 20;
+
+app.post('/api/probe', acceptUploads, async (req, res) => {
+  console.log('🔍 [PROBE] Received media probe request');
+  const workspace = req.workspace || createWorkspace('probe');
+
+  try {
+    const { url, urls } = req.body;
+    const inputs = urls !== undefined ? urls : (url !== undefined ? [url] : null);
+
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(input => typeof input !== 'string' || !input)) {
       return res.status(400).json({
         success: false,
-        error: 'Either videoUrls array or tracks array is required'
+        error: 'url (string) or urls (array of strings) is required'
       });
     }
-    
-    console.log(`📊 [SEQUENCE] Processing ALL ${timeline.length} video segments (5s each) - NO LIMITS!`);
-    console.log(`🔄 [SEQUENCE] Using batch size: ${batchSize} videos per batch`);
-    
-    const tempDir = '/tmp';
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    // Split timeline into batches
-    const batches = [];
-    for (let i = 0; i < timeline.length; i += batchSize) {
-      batches.push(timeline.slice(i, i + batchSize));
-    }
-    
-    console.log(`📦 [SEQUENCE] Split into ${batches.length} batches`);
-    
-    const batchOutputs = [];
-    
-    // Process each batch
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      console.log(`🔄 [SEQUENCE] Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} videos)`);
-      
-      const processedFiles = [];
-      
-      // Process videos in current batch
-      for (let i = 0; i < batch.length; i++) {
-        const segment = batch[i];
-        try {
-          console.log(`📥 [SEQUENCE] Batch ${batchIndex + 1} - Downloading video ${i + 1}: ${segment.url}`);
-          
-          // Download with timeout
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 12000); // Reduced timeout
-          
-          const response = await fetch(segment.url, { 
-            signal: controller.signal,
-            timeout: 12000 
-          });
-          clearTimeout(timeoutId);
-          
-          if (!response.ok) throw new Error(`HTTP ${response.status}`);
-          
-          const buffer = await response.buffer();
-          
-          // Skip very large files that cause SIGKILL
-          if (buffer.length > 15 * 1024 * 1024) { // Skip files > 15MB
-            console.log(`⚠️ [SEQUENCE] Batch ${batchIndex + 1} - Skipping large video ${i + 1} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
-            continue;
-          }
-          
-          const originalPath = path.join(tempDir, `batch${batchIndex}_original${i}.mp4`);
-          const processedPath = path.join(tempDir, `batch${batchIndex}_processed${i}.mp4`);
-          
-          fs.writeFileSync(originalPath, buffer);
-          console.log(`✅ [SEQUENCE] Batch ${batchIndex + 1} - Downloaded video ${i + 1} (${(buffer.length / 1024).toFixed(2)} KB)`);
-          
-          // Process video with timeout
-          await new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-              reject(new Error('Processing timeout'));
-            }, 20000); // Reduced timeout
-            
-            ffmpeg(originalPath)
-              .inputOptions(['-ss', '0'])
-              .outputOptions([
-                '-t', '5',
-                '-c:v', 'libx264',
-                '-c:a', 'aac',
-                '-preset', 'ultrafast',  // Faster processing
-                '-crf', '30',           // Lower quality but faster
-                '-vf', 'scale=640:1138:force_original_aspect_ratio=increase,crop=640:1138', // Smaller resolution
-                '-r', '20',             // Lower framerate
-                '-b:a', '64k'          // Lower audio bitrate
-              ])
-              .output(processedPath)
-              .on('end', () => {
-                clearTimeout(timeout);
-                console.log(`✅ [SEQUENCE] Batch ${batchIndex + 1} - Processed video ${i + 1}`);
-                resolve();
-              })
-              .on('error', (err) => {
-                clearTimeout(timeout);
-                reject(err);
-              })
-              .run();
-          });
-          
-          processedFiles.push(processedPath);
-          
-          // Cleanup original immediately
-          try { fs.unlinkSync(originalPath); } catch (e) {}
-          
-          // Memory management pause
-          await new Promise(resolve => setTimeout(resolve, 300));
-          
-        } catch (error) {
-          console.error(`❌ [SEQUENCE] Batch ${batchIndex + 1} - Failed video ${i + 1}:`, error.message);
-        }
-      }
-      
-      if (processedFiles.length === 0) {
-        console.log(`⚠️ [SEQUENCE] Batch ${batchIndex + 1} - No videos processed successfully`);
-        continue;
-      }
-      
-      // Concatenate current batch
-      console.log(`🔗 [SEQUENCE] Batch ${batchIndex + 1} - Concatenating ${processedFiles.length} videos`);
-      
-      const concatContent = processedFiles.map(file => `file '${file}'`).join('\n');
-      const concatPath = path.join(tempDir, `batch${batchIndex}_concat.txt`);
-      fs.writeFileSync(concatPath, concatContent);
-      
-      const batchOutputPath = path.join(tempDir, `batch${batchIndex}_output.mp4`);
-      
-      await new Promise((resolve, reject) => {
-        ffmpeg()
-          .input(concatPath)
-          .inputOptions(['-f', 'concat', '-safe', '0'])
-          .outputOptions(['-c', 'copy', '-movflags', '+faststart'])
-          .output(batchOutputPath)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-      });
-      
-      batchOutputs.push(batchOutputPath);
-      console.log(`✅ [SEQUENCE] Batch ${batchIndex + 1} completed - ${processedFiles.length} videos`);
-      
-      // Cleanup batch files
-      [...processedFiles, concatPath].forEach(file => {
-        try { fs.unlinkSync(file); } catch (e) {}
-      });
-      
-      // Memory management pause
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    if (batchOutputs.length === 0) {
+    if (inputs.length > MAX_PROBE_URLS) {
       return res.status(400).json({
         success: false,
-        error: 'No videos processed successfully in any batch'
+        error: `At most ${MAX_PROBE_URLS} urls can be probed per request`
       });
     }
-    
-    let finalOutputPath;
-    
-    if (batchOutputs.length === 1) {
-      // Only one batch, use it directly
-      finalOutputPath = batchOutputs[0];
-      console.log(`🎬 [SEQUENCE] Single batch result used directly`);
-    } else {
-      // Merge all batches - FIXED VERSION
-      console.log(`🔗 [SEQUENCE] Merging ${batchOutputs.length} batches into final video`);
-      
-      // FIXED: Proper concat file format
-      const finalConcatContent = batchOutputs.map(file => `file '${file}'`).join('\n');
-      const finalConcatPath = path.join(tempDir, 'final_concat.txt');
-      fs.writeFileSync(finalConcatPath, finalConcatContent); // FIXED: Correct parameter order
-      
-      finalOutputPath = path.join(tempDir, `final_sequenced_${Date.now()}.mp4`);
-      
-      await new Promise((resolve, reject) => {
-        ffmpeg()
-          .input(finalConcatPath)
-          .inputOptions(['-f', 'concat', '-safe', '0'])
-          .outputOptions(['-c', 'copy', '-movflags', '+faststart'])
-          .output(finalOutputPath)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-      });
-      
-      // Cleanup
-      try { fs.unlinkSync(finalConcatPath); } catch (e) {}
+
+    const { download } = resolveIngestOptions(req.body, { uploads: req.uploads, owner: requester(req) });
+    const results = [];
+
+    for (let i = 0; i < inputs.length; i++) {
+      const filePath = workspace.file(`probe_${i}`);
+      try {
+        const { bytes } = await downloadMedia(inputs[i], filePath, download);
+        const media = await inspectMedia(filePath);
+        console.log(`✅ [PROBE] ${describeInput(inputs[i])}: ${media.container}${media.duration !== null ? `, ${media.duration}s` : ''}`);
+        results.push({ url: describeInput(inputs[i]), success: true, bytes, ...media });
+      } catch (error) {
+        console.error(`❌ [PROBE] ${describeInput(inputs[i])}:`, error.message);
+        if (urls === undefined) throw error;
+        results.push({ url: describeInput(inputs[i]), success: false, error: error.message, reason: error.reason || null });
+      } finally {
+        try { fs.unlinkSync(filePath); } catch (e) {}
+      }
     }
-    
-    const outputBuffer = fs.readFileSync(finalOutputPath);
-    const base64Video = outputBuffer.toString('base64');
-    
-    // Cleanup all batch outputs and final output
-    [...batchOutputs, finalOutputPath].forEach(file => {
-      try { fs.unlinkSync(file); } catch (e) {}
-    });
-    
-    const totalTime = Date.now() - startTime;
-    const totalDuration = timeline.length * 5; // All attempted videos
-    
-    console.log(`🎉 [SEQUENCE] SUCCESS! Processed ${timeline.length} videos into ${totalDuration} seconds total`);
-    console.log(`📊 [SEQUENCE] ${batches.length} batches processed, ${batchOutputs.length} successful batches`);
-    
-    res.json({
-      success: true,
-      message: `Successfully sequenced ${timeline.length} videos (${batchOutputs.length}/${batches.length} batches successful)`,
-      videoData: `data:video/mp4;base64,${base64Video}`,
-      size: outputBuffer.length,
-      videosAttempted: timeline.length,
-      batchesProcessed: batchOutputs.length,
-      totalBatches: batches.length,
-      totalDuration: `${totalDuration} seconds`,
-      processingTimeMs: totalTime
-    });
-    
+
+    // A single `url` answers with its result directly (and fails with its error)
+    if (urls === undefined) return res.json(results[0]);
+    res.json({ success: results.every(result => result.success), results });
+
   } catch (error) {
-    console.error('💥 [SEQUENCE] Error:', error.message);
-    res.status(500).json({
+    console.error('💥 [PROBE] Error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      reason: error.reason
     });
+  } finally {
+    workspace.remove();
   }
 });
 
-// ENDPOINT 2: ADD AUDIO TO SINGLE VIDEO
-app.post('/api/add-audio', async (req, res) => {
-  const startTime = Date.now();
-  console.log('🎵 [AUDIO] Received audio overlay request');
-  
+// ENDPOINT 5: PREVIEWS (POSTER FRAME, CONTACT SHEET, GIF / WEBP, PROXY MP4)
+// `url` is any input a render accepts; with `job:<id>` the preview is of an
+// earlier render, and its contact sheet gets one tile per segment.
+app.post('/api/preview', acceptUploads, async (req, res) => {
+  console.log('🖼️ [PREVIEW] Received preview request');
+
   try {
-    const { tracks } = req.body;
-    
-    if (!tracks || tracks.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Both video and audio tracks are required'
-      });
-    }
-    
-    let videoTrack = null;
-    let audioTrack = null;
-    
-    tracks.forEach(track => {
-      if (track.type === 'video' && track.keyframes && track.keyframes.length > 0) {
-        videoTrack = track.keyframes[0];
-      } else if (track.type === 'audio' && track.keyframes && track.keyframes.length > 0) {
-        audioTrack = track.keyframes[0];
-      }
-    });
-    
-    if (!videoTrack || !audioTrack) {
+    const { url } = req.body;
+    if (!url || typeof url !== 'string') {
       return res.status(400).json({
         success: false,
-        error: 'Both video and audio keyframes are required'
+        error: 'url is required (video URL, data: URI, upload:<name> or job:<id>)'
       });
     }
-    
-    console.log(`📹 [AUDIO] Video: ${videoTrack.url}`);
-    console.log(`🎵 [AUDIO] Audio: ${audioTrack.url}`);
-    
-    const tempDir = '/tmp';
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    console.log('📥 [AUDIO] Downloading video...');
-    const videoResponse = await fetch(videoTrack.url, { timeout: 30000 });
-    if (!videoResponse.ok) {
-      throw new Error(`Video download failed: ${videoResponse.status}`);
-    }
-    
-    const videoBuffer = await videoResponse.buffer();
-    const videoPath = path.join(tempDir, `audio_video_${Date.now()}.mp4`);
-    fs.writeFileSync(videoPath, videoBuffer);
-    
-    console.log('📥 [AUDIO] Downloading audio...');
-    const audioResponse = await fetch(audioTrack.url, { timeout: 30000 });
-    if (!audioResponse.ok) {
-      throw new Error(`Audio download failed: ${audioResponse.status}`);
+
+    const options = resolvePreviewOptions(req.body);
+    const { download } = resolveIngestOptions(req.body, { uploads: req.uploads, owner: requester(req) });
+
+    let segments = null;
+    if (url.startsWith('job:')) {
+      const job = getJob(url.slice('job:'.length), requester(req));
+      segments = job && job.result ? job.result.segments || null : null;
     }
-    
-    const audioBuffer = await audioResponse.buffer();
-    const audioPath = path.join(tempDir, `audio_input_${Date.now()}.mp3`);
-    fs.writeFileSync(audioPath, audioBuffer);
-    
-    const outputPath = path.join(tempDir, `final_${Date.now()}.mp4`);
-    const duration = Math.min(videoTrack.duration || 60, audioTrack.duration || 60);
-    
-    console.log(`🔄 [AUDIO] Combining video + audio (${duration}s)...`);
-    
-    await new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .input(audioPath)
-        .outputOptions([
-          '-t', duration.toString(),
-          '-c:v', 'copy',
-          '-c:a', 'aac',
-          '-b:a', '128k',
-          '-map', '0:v:0',
-          '-map', '1:a:0',
-          '-shortest',
-          '-movflags', '+faststart'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          console.log('✅ [AUDIO] Combination completed');
-          resolve();
-        })
-        .on('error', reject)
-        .run();
+
+    console.log(`🖼️ [PREVIEW] ${options.kind} of ${describeInput(url)}`);
+
+    await dispatchRender(req, res, {
+      type: 'preview',
+      tag: 'PREVIEW',
+      run: (onProgress, workspace) => renderPreview({ url, options, segments, download, workspace }, onProgress)
     });
-    
-    const outputBuffer = fs.readFileSync(outputPath);
-    const base64Video = outputBuffer.toString('base64');
-    
-    [videoPath, audioPath, outputPath].forEach(file => {
-      try { fs.unlinkSync(file); } catch (e) {}
+
+  } catch (error) {
+    console.error('💥 [PREVIEW] Error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      reason: error.reason,
+      details: error.details
     });
-    
-    const totalTime = Date.now() - startTime;
-    
-    console.log(`🎉 [AUDIO] Success! Video with audio created`);
-    
+  }
+});
+
+// ENDPOINT 6: DRY-RUN PLAN FOR A SEQUENCING REQUEST
+// Takes the body of /api/render or /api/sequence-videos and answers with the
+// resolved timeline, its batches and rough size/time estimates (lib/plan.js),
+// without downloading or rendering anything. A body the render would refuse
+// gets the same 400 here.
+app.post('/api/plan', async (req, res) => {
+  console.log('🧭 [PLAN] Received plan request');
+
+  try {
+    const plan = await planRender(req.body, { limits: req.renderLimits });
     res.json({
       success: true,
-      message: `Successfully added audio to video (${duration} seconds)`,
-      videoData: `data:video/mp4;base64,${base64Video}`,
-      size: outputBuffer.length,
-      duration: `${duration} seconds`,
-      hasAudio: true,
-      processingTimeMs: totalTime
+      ...plan
     });
-    
   } catch (error) {
-    console.error('💥 [AUDIO] Error:', error.message);
-    res.status(500).json({
+    console.error('💥 [PLAN] Error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      reason: error.reason,
+      details: error.details
     });
   }
 });
 
-// ENDPOINT 3: TEST WITHOUT VIDEO FILTERS (PURE VIDEO SEQUENCING APPROACH)
-app.post('/api/add-subtitles', async (req, res) => {
-  const startTime = Date.now();
-  console.log('📝 [SUBTITLES] TEST - NO VIDEO FILTERS, PURE VIDEO SEQUENCING');
-  
-  try {
-    const { video_url, subtitles } = req.body;
-    
-    if (!video_url) {
-      return res.status(400).json({
-        success: false,
-        error: 'video_url is required'
-      });
-    }
-    
-    console.log(`📹 [SUBTITLES] Video: ${video_url}`);
-    console.log(`🧪 [SUBTITLES] Testing WITHOUT video filters (like video sequencing)`);
-    
-    const tempDir = '/tmp';
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    console.log('📥 [SUBTITLES] Downloading video...');
-    const videoResponse = await fetch(video_url, { timeout: 30000 });
-    if (!videoResponse.ok) {
-      throw new Error(`Video download failed: ${videoResponse.status}`);
+// TIMELINE SCHEMA: the JSON Schema render bodies are validated against
+app.get('/api/schema', (req, res) => {
+  res.json(TIMELINE_SCHEMA);
+});
+
+// USAGE: the calling API key's limits and what it has used so far
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API keys are not configured on this server'
+    });
+  }
+
+  res.json({ success: true, key: describeApiKey(req.apiKey) });
+});
+
+// JOB STATUS: state, progress and (once finished) the render summary
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, requester(req));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// CANCEL / DELETE JOB: a queued job leaves the queue, a running one has its
+// ffmpeg process killed; either way it ends up `cancelled`. A finished job is
+// forgotten (its stored output stays at `url` until that expires).
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, requester(req));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    console.log(`🛑 [JOBS] Cancelling ${job.status} job ${job.id}`);
+    job.ticket.cancel();
+    return res.status(202).json({
+      success: true,
+      message: 'Job is being cancelled',
+      job: serializeJob(job)
+    });
+  }
+
+  removeJob(job);
+  console.log(`🗑️ [JOBS] Deleted job ${job.id}`);
+  res.json({
+    success: true,
+    message: `Deleted ${job.status} job`,
+    jobId: job.id
+  });
+});
+
+// WEBHOOK LOG: every callback delivery attempt for a job
+app.get('/api/jobs/:id/webhooks', (req, res) => {
+  const job = getJob(req.params.id, requester(req));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!job.webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job was started without a callbackUrl'
+    });
+  }
+
+  res.json({ success: true, jobId: job.id, webhook: job.webhook });
+});
+
+// JOB RESULT: streams the finished file (sendFile handles Range requests)
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id, requester(req));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: job.status === 'failed' ? `Job failed: ${job.error}` : `Job is ${job.status}`,
+      status: job.status
+    });
+  }
+
+  // Stored off this machine (S3): send the client to the object instead
+  if (!job.outputPath) {
+    return res.redirect(302, job.result.url);
+  }
+
+  res.sendFile(job.outputPath, {
+    headers: {
+      'Content-Type': job.result.contentType || 'video/mp4',
+      'Content-Disposition': `inline; filename="${job.id}${path.extname(job.outputPath)}"`
     }
-    
-    const videoBuffer = await videoResponse.buffer();
-    
-    // EXACT SAME PATTERN AS VIDEO SEQUENCING
-    const originalPath = path.join(tempDir, 'subtitle_original.mp4');
-    const processedPath = path.join(tempDir, 'subtitle_processed.mp4');
-    
-    fs.writeFileSync(originalPath, videoBuffer);
-    console.log(`✅ [SUBTITLES] Video saved: ${(videoBuffer.length / 1024).toFixed(2)} KB`);
-    
-    // TEST 1: EXACT VIDEO SEQUENCING WITHOUT ANY FILTERS
-    console.log('🧪 [TEST 1] Exact video sequencing (NO video filters)...');
-    
-    try {
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Processing timeout'));
-        }, 20000);
-        
-        ffmpeg(originalPath)
-          .inputOptions(['-ss', '0'])     // SAME AS VIDEO SEQUENCING
-          .outputOptions([
-            '-t', '5',                    // SAME AS VIDEO SEQUENCING
-            '-c:v', 'libx264',           // SAME AS VIDEO SEQUENCING
-            '-c:a', 'aac',               // SAME AS VIDEO SEQUENCING
-            '-preset', 'ultrafast',       // SAME AS VIDEO SEQUENCING
-            '-crf', '30',                // SAME AS VIDEO SEQUENCING
-            '-r', '20'                   // SAME AS VIDEO SEQUENCING
-            // NO VIDEO FILTERS - EXACTLY LIKE VIDEO SEQUENCING
-          ])
-          .output(processedPath)
-          .on('end', () => {
-            clearTimeout(timeout);
-            console.log(`✅ [TEST 1] SUCCESS - Video processed without filters!`);
-            resolve();
-          })
-          .on('error', (err) => {
-            clearTimeout(timeout);
-            console.error(`❌ [TEST 1] Failed:`, err.message);
-            reject(err);
-          })
-          .run();
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 410 : 500).json({
+        success: false,
+        error: error.status === 404 ? 'Job result is no longer available' : error.message
       });
-      
-      console.log('🎉 [TEST 1] BREAKTHROUGH! Video processing works without filters!');
-      
-    } catch (test1Error) {
-      console.log('❌ [TEST 1] Even no-filter processing failed:', test1Error.message);
-      
-      // TEST 2: SIMPLE COPY (LIKE VIDEO SEQUENCING FALLBACK)
-      console.log('🧪 [TEST 2] Simple copy test...');
-      
-      try {
-        fs.copyFileSync(originalPath, processedPath);
-        console.log('✅ [TEST 2] Copy successful');
-      } catch (copyError) {
-        console.log('❌ [TEST 2] Even copy failed:', copyError.message);
-        throw copyError;
-      }
-    }
-    
-    // Check if output exists
-    if (!fs.existsSync(processedPath)) {
-      console.log('⚠️ [SUBTITLES] No output file, copying original');
-      fs.copyFileSync(originalPath, processedPath);
     }
-    
-    const outputBuffer = fs.readFileSync(processedPath);
-    const base64Video = outputBuffer.toString('base64');
-    
-    // Cleanup
-    [originalPath, processedPath].forEach(file => {
-      try { 
-        fs.unlinkSync(file); 
-      } catch (e) {}
-    });
-    
-    const totalTime = Date.now() - startTime;
-    const sizeDiff = outputBuffer.length - videoBuffer.length;
-    
-    console.log(`🎉 [SUBTITLES] TEST COMPLETE!`);
-    console.log(`📊 [SUBTITLES] Size change: ${(sizeDiff / 1024).toFixed(2)} KB`);
-    
-    res.json({
-      success: true,
-      message: `TEST: Processing without video filters (like video sequencing)`,
-      videoData: `data:video/mp4;base64,${base64Video}`,
-      size: outputBuffer.length,
-      originalSize: videoBuffer.length,
-      sizeDifference: sizeDiff,
-      processingTimeMs: totalTime,
-      note: 'Testing if video processing works without any filters'
+  });
+});
+
+// STORED FILES: renders kept by the local storage backend, until they expire.
+// Files of a stored directory (HLS playlists and segments) are under
+// /files/:id/<path>.
+app.get(['/files/:id', '/files/:id/*'], (req, res) => {
+  const file = getLocalFile(req.params.id, req.params[0] || null);
+  if (!file || file.directory) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found'
     });
-    
-  } catch (error) {
-    console.error('💥 [SUBTITLES] Test failed:', error.message);
-    res.status(500).json({
+  }
+
+  if (file.expired) {
+    return res.status(410).json({
       success: false,
-      error: error.message
+      error: 'File has expired'
     });
   }
+
+  res.sendFile(file.path, {
+    headers: {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `inline; filename="${file.filename}"`
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 410 : 500).json({
+        success: false,
+        error: error.status === 404 ? 'File is no longer available' : error.message
+      });
+    }
+  });
 });
 
 // Error handling middleware
@@ -528,23 +461,42 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+// Remove workspaces left behind by crashed or killed instances
+const sweptWorkspaces = sweepStaleWorkspaces();
+if (sweptWorkspaces > 0) {
+  console.log(`🧹 Removed ${sweptWorkspaces} stale workspaces`);
+}
 
 // Start server
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Video Sequencer API v2.9.4 running on port ${PORT}`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+  console.log(`🚀 Video Sequencer API v${version} running on port ${PORT}`);
+  console.log(`🎞️ /api/render - Full tracks document (video, audio, captions, images, text) → One video`);
   console.log(`📹 /api/sequence-videos - Multiple videos → One video (FIXED BATCH PROCESSING!)`);
-  console.log(`🎵 /api/add-audio - Single video + audio → Final video`);
-  console.log(`📝 /api/add-subtitles - WORKING SUBTITLES WITH VIDEO SEQUENCING PATTERN!`);
-  console.log(`📡 Health check: http://localhost:${PORT}/`);
+  console.log(`🎵 /api/add-audio - Single video + audio tracks (mix, fades, ducking) → Final video`);
+  console.log(`📝 /api/add-subtitles - Video + SRT/VTT/ASS/JSON cues → Subtitled video`);
+  console.log(`🧭 /api/plan - Dry run: validated timeline, batches, estimated size and render time (schema: GET /api/schema)`);
+  console.log(`🔍 /api/probe - Container, codecs, duration, resolution, fps, rotation, audio for any input`);
+  console.log(`🖼️ /api/preview - Poster frame, contact sheet, GIF/WebP clip or low-res proxy MP4 of any video or job:<id>`);
+  console.log(`🗣️ Automatic captions: ${describeTranscription()} (pass "transcribe" to /api/add-subtitles, /api/add-audio or a captions track; SRT/VTT in "sidecars")`);
+  console.log(`🎚️ Output formats: mp4, mov, webm (VP9/Opus), hls (ladder + master playlist, files or tar), mp3/aac/wav audio-only (pass "output": { "format": ... })`);
+  console.log(`🧾 /api/jobs/:id - Async job status + result download (pass "async": true), DELETE to cancel`);
+  console.log(`🚦 Render queue: ${queueStats().concurrency} concurrent renders, ${queueStats().limit} may wait (pass "priority": high | normal | low)`);
+  console.log(CACHE_ENABLED
+    ? `♻️ Segment cache: ${CACHE_DIR} (up to ${(cacheStats().maxBytes / 1024 / 1024).toFixed(0)} MB, ${cacheStats().entries} segments), ${SEGMENT_CONCURRENCY} segments prepared in parallel per render`
+    : `♻️ Segment cache off (SEGMENT_CACHE_MAX_BYTES=0), ${SEGMENT_CONCURRENCY} segments prepared in parallel per render`);
+  console.log(`📨 /api/jobs/:id/webhooks - Signed completion callbacks (pass "callbackUrl")`);
+  console.log(`🛡️ Remote fetches: ${describeFetchPolicy()}`);
+  console.log(`📤 Inputs: http(s) URLs, data: URIs, upload:<name> (multipart "payload" + files), job:<id>`);
+  console.log(`💾 /files/:id - Rendered outputs (storage: ${STORAGE_BACKEND}, pass "delivery": "base64" for inline)`);
+  console.log(AUTH_ENABLED
+    ? `🔑 /api/* requires an API key (Authorization: Bearer or X-API-Key) - /api/usage for limits and usage`
+    : `⚠️ No API keys configured (API_KEYS_FILE / API_KEYS) - /api/* is open to anyone`);
+  console.log(`📡 Health checks: http://localhost:${PORT}/healthz (liveness), /readyz (ffmpeg, ffprobe, disk, queue) - Prometheus metrics at /metrics`);
+  console.log(`🪵 Logs: ${describeLogging()} - X-Request-Id on every response`);
+  console.log(`🛑 Shutdown: ${describeShutdown()}`);
+  console.log(`🧰 CLI: video-sequencer render <request.json> -o out.mp4 - same engine and limits, local files as inputs (bin/video-sequencer.js)`);
 });
+
+// Graceful shutdown: drain renders instead of killing them (lib/shutdown.js)
+installShutdownHandlers(server);